@@ -1,60 +1,31 @@
 // api/auth.js - Upgraded v2.0
 const { nanoid } = require('nanoid');
-
-// Try to initialize Redis, but fall back gracefully if not available
-let redis = null;
-try {
-    const { Redis } = require('@upstash/redis');
-    redis = Redis.fromEnv();
-    console.log('Redis initialized successfully');
-} catch (error) {
-    console.warn('Redis not available, using in-memory storage for development:', error.message);
-    // Simple in-memory storage for development
-    const inMemoryStorage = new Map();
-    redis = {
-        get: async (key) => inMemoryStorage.get(key),
-        set: async (key, value, options) => {
-            inMemoryStorage.set(key, value);
-            if (options && options.ex) {
-                setTimeout(() => inMemoryStorage.delete(key), options.ex * 1000);
-            }
-        },
-        del: async (key) => inMemoryStorage.delete(key),
-        incr: async (key) => {
-            const current = inMemoryStorage.get(key) || 0;
-            const newValue = current + 1;
-            inMemoryStorage.set(key, newValue);
-            return newValue;
-        },
-        expire: async (key, seconds) => {
-            setTimeout(() => inMemoryStorage.delete(key), seconds * 1000);
-        },
-        sadd: async (key, value) => {
-            const set = inMemoryStorage.get(key) || new Set();
-            set.add(value);
-            inMemoryStorage.set(key, set);
-        },
-        srem: async (key, value) => {
-            const set = inMemoryStorage.get(key);
-            if (set) {
-                set.delete(value);
-            }
-        },
-        smembers: async (key) => {
-            const set = inMemoryStorage.get(key) || new Set();
-            return Array.from(set);
-        }
-    };
-}
+const { redis, backend } = require('../lib/storage');
+const {
+    requireSession,
+    startSession,
+    touchSession,
+    listSessions,
+    revokeSession,
+    revokeAllSessions
+} = require('../lib/session');
+const { normalizeName, lookupName, claimName, releaseName } = require('../lib/names');
+const { issueRecoveryCodes, redeemRecoveryCode, countRecoveryCodes } = require('../lib/recovery');
+const { DELETION_MODES, DEFAULT_DELETION_MODE, exportAccount, deleteAccount } = require('../lib/account');
+const { filterTopicSlugs } = require('../lib/topics');
 
 // Rate limiting configuration
 const RATE_LIMIT_WINDOW = 60000; // 1 minute
 const MAX_REQUESTS_PER_WINDOW = 10;
 
+// Allowed preference values
+const THEMES = ['dark', 'light', 'system'];
+const LANGUAGES = ['en', 'es', 'fr', 'de', 'pt', 'ja'];
+
 module.exports = async function handler(req, res) {
     // Enhanced CORS headers
     res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
     res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
     res.setHeader('Access-Control-Max-Age', '86400');
     
@@ -81,6 +52,36 @@ module.exports = async function handler(req, res) {
         await redis.incr(rateLimitKey);
         await redis.expire(rateLimitKey, Math.ceil(RATE_LIMIT_WINDOW / 1000));
         
+        // Device sessions: /api/auth/sessions[/{sessionId}]
+        const url = new URL(req.url, `http://${req.headers.host}`);
+        const pathSegments = url.pathname.split('/').filter(Boolean);
+        
+        if (pathSegments[2] === 'sessions') {
+            return await handleSessions(req, res, pathSegments[3]);
+        }
+        
+        if (pathSegments[2] === 'recover') {
+            return req.method === 'POST'
+                ? await handleRecover(req, res)
+                : res.status(405).json({ error: 'Method not allowed' });
+        }
+        
+        if (pathSegments[2] === 'recovery-codes') {
+            return await handleRecoveryCodes(req, res);
+        }
+        
+        if (pathSegments[2] === 'export') {
+            return req.method === 'GET'
+                ? await handleExport(req, res)
+                : res.status(405).json({ error: 'Method not allowed' });
+        }
+        
+        if (pathSegments[2] === 'account') {
+            return req.method === 'DELETE'
+                ? await handleDeleteAccount(req, res)
+                : res.status(405).json({ error: 'Method not allowed' });
+        }
+        
         if (req.method === 'POST') {
             return await handleCreateUser(req, res);
         }
@@ -89,6 +90,10 @@ module.exports = async function handler(req, res) {
             return await handleGetUser(req, res);
         }
         
+        if (req.method === 'PUT') {
+            return await handleUpdateUser(req, res);
+        }
+        
         if (req.method === 'DELETE') {
             return await handleSignOut(req, res);
         }
@@ -98,7 +103,7 @@ module.exports = async function handler(req, res) {
     } catch (error) {
         console.error('Auth error:', error);
         console.error('Error stack:', error.stack);
-        console.error('Redis connection status:', redis ? 'Connected' : 'Not connected');
+        console.error('Storage backend:', backend);
         
         return res.status(500).json({ 
             error: 'Internal server error',
@@ -127,21 +132,21 @@ async function handleCreateUser(req, res) {
     // Sanitize input
     const sanitizedName = displayName.trim().replace(/[<>]/g, '');
     const sanitizedAboutMe = aboutMe ? aboutMe.trim().replace(/[<>]/g, '').substring(0, 200) : '';
-    const sanitizedInterests = Array.isArray(interests) ? interests.slice(0, 10) : [];
+    const sanitizedInterests = Array.isArray(interests) ? (await filterTopicSlugs(interests)).slice(0, 10) : [];
+    
+    const userId = nanoid();
     
     try {
-        // Check for duplicate display names with case-insensitive search
-        const existingUsers = await redis.smembers('users');
-        console.log('Existing users count:', existingUsers.length);
-        
-        for (const existingUserId of existingUsers) {
-            const existingUser = await redis.get(`user:${existingUserId}`);
-            if (existingUser && typeof existingUser === 'object' && existingUser.displayName && existingUser.displayName.toLowerCase() === sanitizedName.toLowerCase()) {
-                return res.status(409).json({ error: 'Display name already taken' });
-            }
+        // Claiming the name is the uniqueness check
+        if (!await claimName(sanitizedName, userId)) {
+            return res.status(409).json({ error: 'Display name already taken' });
         }
-        
-        const userId = nanoid();
+    } catch (error) {
+        console.error('Error claiming display name:', error);
+        return res.status(500).json({ error: 'Failed to create user' });
+    }
+    
+    try {
         const user = {
             id: userId,
             displayName: sanitizedName,
@@ -179,30 +184,177 @@ async function handleCreateUser(req, res) {
             redis.set(`user:${userId}`, user),
             redis.sadd('users', userId),
             redis.sadd('activeUsers', userId),
-            redis.set(`user:${userId}:session`, {
-                createdAt: Date.now(),
-                lastActivity: Date.now(),
-                userAgent: req.headers['user-agent'] || 'unknown'
-            }, { ex: 86400 }) // 24 hour session
+            ...sanitizedInterests.map(topic => redis.sadd(`topic:${topic}:followers`, userId))
         ]);
         
-        // Set user session expiry (24 hours)
-        await redis.expire(`user:${userId}`, 86400);
+        // Shown once; the account outlives this device through these codes
+        const recoveryCodes = await issueRecoveryCodes(userId);
         
         console.log('User created successfully');
-        return res.status(200).json(user);
+        return res.status(200).json({ ...user, session: await startSession(userId, req), recoveryCodes });
     } catch (error) {
         console.error('Error creating user:', error);
+        await releaseName(sanitizedName, userId).catch(() => {});
         return res.status(500).json({ error: 'Failed to create user' });
     }
 }
 
-async function handleGetUser(req, res) {
-    const { userId } = req.query;
+// Empty values clear the link, anything else must be an http(s) URL.
+// Returns undefined when the value is not acceptable.
+function sanitizeUrl(value) {
+    if (value === null || value === '') {
+        return null;
+    }
+    
+    if (typeof value !== 'string' || value.length > 300) {
+        return undefined;
+    }
     
-    if (!userId) {
-        return res.status(400).json({ error: 'User ID is required' });
+    try {
+        const url = new URL(value.trim());
+        return ['http:', 'https:'].includes(url.protocol) ? url.toString() : undefined;
+    } catch (error) {
+        return undefined;
+    }
+}
+
+// Partial update: only the fields present in the body are changed
+async function handleUpdateUser(req, res) {
+    const session = await requireSession(req, res);
+    if (!session) return;
+    
+    const { userId } = session;
+    const { displayName, aboutMe, interests, profile, preferences } = req.body;
+    
+    try {
+        const user = await redis.get(`user:${userId}`);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        
+        const updatedUser = {
+            ...user,
+            profile: { ...user.profile },
+            preferences: { ...user.preferences }
+        };
+        
+        if (displayName !== undefined) {
+            const sanitizedName = typeof displayName === 'string' ? displayName.trim().replace(/[<>]/g, '') : '';
+            
+            if (sanitizedName.length < 2) {
+                return res.status(400).json({ error: 'Display name must be at least 2 characters long' });
+            }
+            
+            if (sanitizedName.length > 50) {
+                return res.status(400).json({ error: 'Display name must be less than 50 characters' });
+            }
+            
+            updatedUser.displayName = sanitizedName;
+        }
+        
+        if (aboutMe !== undefined) {
+            if (typeof aboutMe !== 'string') {
+                return res.status(400).json({ error: 'About me must be text' });
+            }
+            updatedUser.aboutMe = aboutMe.trim().replace(/[<>]/g, '').substring(0, 200);
+        }
+        
+        if (interests !== undefined) {
+            if (!Array.isArray(interests)) {
+                return res.status(400).json({ error: 'Interests must be a list' });
+            }
+            updatedUser.interests = (await filterTopicSlugs(interests)).slice(0, 10);
+        }
+        
+        if (profile !== undefined) {
+            if (!profile || typeof profile !== 'object') {
+                return res.status(400).json({ error: 'Profile must be an object' });
+            }
+            
+            for (const field of ['avatar', 'banner', 'website']) {
+                if (profile[field] !== undefined) {
+                    const url = sanitizeUrl(profile[field]);
+                    if (url === undefined) {
+                        return res.status(400).json({ error: `Profile ${field} must be an http(s) URL` });
+                    }
+                    updatedUser.profile[field] = url;
+                }
+            }
+            
+            if (profile.location !== undefined) {
+                if (profile.location !== null && typeof profile.location !== 'string') {
+                    return res.status(400).json({ error: 'Location must be text' });
+                }
+                updatedUser.profile.location = (profile.location || '').trim().replace(/[<>]/g, '').substring(0, 100) || null;
+            }
+        }
+        
+        if (preferences !== undefined) {
+            if (!preferences || typeof preferences !== 'object') {
+                return res.status(400).json({ error: 'Preferences must be an object' });
+            }
+            
+            for (const field of ['notifications', 'emailUpdates']) {
+                if (preferences[field] !== undefined) {
+                    if (typeof preferences[field] !== 'boolean') {
+                        return res.status(400).json({ error: `Preference ${field} must be true or false` });
+                    }
+                    updatedUser.preferences[field] = preferences[field];
+                }
+            }
+            
+            if (preferences.theme !== undefined) {
+                if (!THEMES.includes(preferences.theme)) {
+                    return res.status(400).json({ error: `Theme must be one of: ${THEMES.join(', ')}` });
+                }
+                updatedUser.preferences.theme = preferences.theme;
+            }
+            
+            if (preferences.language !== undefined) {
+                if (!LANGUAGES.includes(preferences.language)) {
+                    return res.status(400).json({ error: `Language must be one of: ${LANGUAGES.join(', ')}` });
+                }
+                updatedUser.preferences.language = preferences.language;
+            }
+        }
+        
+        // A rename claims the new name before saving and frees the old one after
+        const renamed = normalizeName(updatedUser.displayName) !== normalizeName(user.displayName);
+        if (renamed && !await claimName(updatedUser.displayName, userId)) {
+            return res.status(409).json({ error: 'Display name already taken' });
+        }
+        
+        // Followed topics mirror the user's interests
+        const previousInterests = user.interests || [];
+        const newInterests = updatedUser.interests || [];
+        await Promise.all([
+            ...previousInterests
+                .filter(topic => !newInterests.includes(topic))
+                .map(topic => redis.srem(`topic:${topic}:followers`, userId)),
+            ...newInterests
+                .filter(topic => !previousInterests.includes(topic))
+                .map(topic => redis.sadd(`topic:${topic}:followers`, userId))
+        ]);
+        
+        updatedUser.lastActive = new Date().toISOString();
+        await redis.set(`user:${userId}`, updatedUser);
+        
+        if (renamed) {
+            await releaseName(user.displayName, userId);
+        }
+        
+        return res.status(200).json(updatedUser);
+    } catch (error) {
+        console.error('Error updating user:', error);
+        return res.status(500).json({ error: 'Failed to update user' });
     }
+}
+
+async function handleGetUser(req, res) {
+    const session = await requireSession(req, res);
+    if (!session) return;
+    
+    const { userId } = session;
     
     try {
         const user = await redis.get(`user:${userId}`);
@@ -214,13 +366,9 @@ async function handleGetUser(req, res) {
         // Ensure user is an object
         const userObj = typeof user === 'string' ? JSON.parse(user) : user;
         
-        // Update session activity
-        const session = await redis.get(`user:${userId}:session`);
-        if (session) {
-            const sessionObj = typeof session === 'string' ? JSON.parse(session) : session;
-            sessionObj.lastActivity = Date.now();
-            await redis.set(`user:${userId}:session`, sessionObj, { ex: 86400 });
-        }
+        // Users created before the name index existed claim their name on
+        // their next visit (a no-op once claimed)
+        await claimName(userObj.displayName, userId);
         
         // Update last active timestamp
         userObj.lastActive = new Date().toISOString();
@@ -228,7 +376,8 @@ async function handleGetUser(req, res) {
         await redis.set(`user:${userId}`, userObj);
         await redis.sadd('activeUsers', userId);
         
-        return res.status(200).json(userObj);
+        // Slide the session forward so active users stay signed in
+        return res.status(200).json({ ...userObj, session: await touchSession(session) });
     } catch (error) {
         console.error('Error getting user:', error);
         return res.status(500).json({ error: 'Failed to get user' });
@@ -236,27 +385,28 @@ async function handleGetUser(req, res) {
 }
 
 async function handleSignOut(req, res) {
-    const { userId } = req.body;
+    const session = await requireSession(req, res);
+    if (!session) return;
     
-    if (!userId) {
-        return res.status(400).json({ error: 'User ID is required' });
-    }
+    const { userId } = session;
     
     try {
-        // Update user status to offline
-        const user = await redis.get(`user:${userId}`);
-        if (user) {
-            const userObj = typeof user === 'string' ? JSON.parse(user) : user;
-            userObj.isOnline = false;
-            userObj.lastActive = new Date().toISOString();
-            await redis.set(`user:${userId}`, userObj);
-        }
+        // Only this device signs out, other sessions stay valid
+        await revokeSession(userId, session.sessionId);
         
-        // Clean up session and active status
-        await Promise.all([
-            redis.srem('activeUsers', userId),
-            redis.del(`user:${userId}:session`)
-        ]);
+        // Update user status to offline once no device is signed in
+        const remainingSessions = await listSessions(userId);
+        if (remainingSessions.length === 0) {
+            const user = await redis.get(`user:${userId}`);
+            if (user) {
+                const userObj = typeof user === 'string' ? JSON.parse(user) : user;
+                userObj.isOnline = false;
+                userObj.lastActive = new Date().toISOString();
+                await redis.set(`user:${userId}`, userObj);
+            }
+            
+            await redis.srem('activeUsers', userId);
+        }
         
         return res.status(200).json({ success: true });
     } catch (error) {
@@ -264,3 +414,151 @@ async function handleSignOut(req, res) {
         return res.status(500).json({ error: 'Failed to sign out' });
     }
 }
+
+// GET lists the user's sessions, DELETE /{sessionId} revokes one and a bare
+// DELETE revokes all of them, this device included
+async function handleSessions(req, res, sessionId) {
+    const session = await requireSession(req, res);
+    if (!session) return;
+    
+    const { userId } = session;
+    
+    try {
+        if (req.method === 'GET') {
+            const sessions = await listSessions(userId);
+            return res.status(200).json({
+                sessions: sessions.map(record => ({
+                    id: record.id,
+                    userAgent: record.userAgent,
+                    createdAt: new Date(record.createdAt).toISOString(),
+                    lastActivity: new Date(record.lastActivity).toISOString(),
+                    current: record.id === session.sessionId
+                }))
+            });
+        }
+        
+        if (req.method === 'DELETE' && sessionId) {
+            if (!await revokeSession(userId, sessionId)) {
+                return res.status(404).json({ error: 'Session not found' });
+            }
+            return res.status(200).json({ success: true });
+        }
+        
+        if (req.method === 'DELETE') {
+            const revoked = await revokeAllSessions(userId);
+            return res.status(200).json({ success: true, revoked });
+        }
+        
+        return res.status(405).json({ error: 'Method not allowed' });
+    } catch (error) {
+        console.error('Error managing sessions:', error);
+        return res.status(500).json({ error: 'Failed to manage sessions' });
+    }
+}
+
+// Signs in on a new device with the display name and one unused recovery code
+async function handleRecover(req, res) {
+    const { displayName, code } = req.body || {};
+    
+    if (typeof displayName !== 'string' || !displayName.trim() || typeof code !== 'string' || !code.trim()) {
+        return res.status(400).json({ error: 'Display name and recovery code are required' });
+    }
+    
+    try {
+        // Same answer for an unknown name and a wrong code
+        const userId = await lookupName(displayName);
+        const user = userId && await redis.get(`user:${userId}`);
+        
+        if (!user || !await redeemRecoveryCode(userId, code)) {
+            return res.status(401).json({ error: 'Invalid display name or recovery code' });
+        }
+        
+        const userObj = typeof user === 'string' ? JSON.parse(user) : user;
+        userObj.lastActive = new Date().toISOString();
+        userObj.isOnline = true;
+        await redis.set(`user:${userId}`, userObj);
+        await redis.sadd('activeUsers', userId);
+        
+        return res.status(200).json({
+            ...userObj,
+            session: await startSession(userId, req),
+            recoveryCodesRemaining: await countRecoveryCodes(userId)
+        });
+    } catch (error) {
+        console.error('Error recovering account:', error);
+        return res.status(500).json({ error: 'Failed to recover account' });
+    }
+}
+
+// GET reports how many codes are left, POST replaces them with a fresh set
+async function handleRecoveryCodes(req, res) {
+    const session = await requireSession(req, res);
+    if (!session) return;
+    
+    const { userId } = session;
+    
+    try {
+        if (req.method === 'GET') {
+            return res.status(200).json({ remaining: await countRecoveryCodes(userId) });
+        }
+        
+        if (req.method === 'POST') {
+            return res.status(200).json({ recoveryCodes: await issueRecoveryCodes(userId) });
+        }
+        
+        return res.status(405).json({ error: 'Method not allowed' });
+    } catch (error) {
+        console.error('Error managing recovery codes:', error);
+        return res.status(500).json({ error: 'Failed to manage recovery codes' });
+    }
+}
+
+// JSON archive of everything stored about the signed-in user
+async function handleExport(req, res) {
+    const session = await requireSession(req, res);
+    if (!session) return;
+    
+    try {
+        const archive = await exportAccount(session.userId);
+        if (!archive) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        
+        res.setHeader('Content-Disposition', `attachment; filename="forum-export-${session.userId}.json"`);
+        return res.status(200).json(archive);
+    } catch (error) {
+        console.error('Error exporting account:', error);
+        return res.status(500).json({ error: 'Failed to export account' });
+    }
+}
+
+// The user retypes their display name to confirm; `mode` picks what happens
+// to their messages and defaults to ACCOUNT_DELETION_MODE
+async function handleDeleteAccount(req, res) {
+    const session = await requireSession(req, res);
+    if (!session) return;
+    
+    const { userId } = session;
+    const { confirmDisplayName, mode = DEFAULT_DELETION_MODE } = req.body || {};
+    
+    if (!DELETION_MODES.includes(mode)) {
+        return res.status(400).json({ error: `Mode must be one of: ${DELETION_MODES.join(', ')}` });
+    }
+    
+    try {
+        const user = await redis.get(`user:${userId}`);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        
+        if (typeof confirmDisplayName !== 'string' || normalizeName(confirmDisplayName) !== normalizeName(user.displayName)) {
+            return res.status(400).json({ error: 'Type your display name to confirm' });
+        }
+        
+        const result = await deleteAccount(userId, mode);
+        return res.status(200).json({ success: true, ...result });
+    } catch (error) {
+        console.error('Error deleting account:', error);
+        return res.status(500).json({ error: 'Failed to delete account' });
+    }
+}
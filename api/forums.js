@@ -1,13 +1,35 @@
 // api/forums.js - Upgraded v2.0
-const { Redis } = require('@upstash/redis');
-const redis = Redis.fromEnv();
+const { redis } = require('../lib/storage');
 const { nanoid } = require('nanoid');
+const { requireSession, getSession } = require('../lib/session');
+const { broadcastToRoom, broadcastGlobal } = require('../lib/events');
+const { createNotification } = require('../lib/notifications');
+const { can, requirePermission, getForumPermissions } = require('../lib/permissions');
+const {
+    FORUM_VISIBILITIES,
+    getVisibility,
+    isMember,
+    canViewForum,
+    hasAcknowledgedRules,
+    acknowledgeRules,
+    resetRuleAcknowledgements,
+    deleteForum
+} = require('../lib/forums');
+const { createInvite, listInvites, revokeInvite, redeemInvite } = require('../lib/invites');
+const { topicExists } = require('../lib/topics');
+const { MIN_TRENDING_SCORE, recordJoin, getTrendingScores } = require('../lib/trending');
+const { recommendForums } = require('../lib/recommendations');
+
+const MAX_TITLE_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 500;
+const MAX_RULES = 10;
+const MAX_RULE_LENGTH = 200;
 
 module.exports = async function handler(req, res) {
     // CORS headers
     res.setHeader('Access-Control-Allow-Origin', '*');
     res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
     
     if (req.method === 'OPTIONS') {
         return res.status(200).end();
@@ -15,6 +37,24 @@ module.exports = async function handler(req, res) {
     
     try {
         if (req.method === 'GET') {
+            // Participant list: /api/forums/{forumId}/participants
+            const url = new URL(req.url, `http://${req.headers.host}`);
+            const pathSegments = url.pathname.split('/').filter(Boolean);
+            
+            // "For you": /api/forums/recommended
+            if (pathSegments.length === 3 && pathSegments[2] === 'recommended') {
+                return await handleGetRecommendations(req, res);
+            }
+            
+            if (pathSegments.length >= 4 && pathSegments[3] === 'participants') {
+                return await handleGetParticipants(req, res, pathSegments[2]);
+            }
+            
+            // Invite links: /api/forums/{forumId}/invites
+            if (pathSegments.length >= 4 && pathSegments[3] === 'invites') {
+                return await handleListInvites(req, res, pathSegments[2]);
+            }
+            
             return await handleGetForums(req, res);
         }
         
@@ -32,6 +72,12 @@ module.exports = async function handler(req, res) {
                     return await handleJoinForum(req, res, forumId);
                 } else if (action === 'leave') {
                     return await handleLeaveForum(req, res, forumId);
+                } else if (action === 'cohosts') {
+                    return await handleAddCohost(req, res, forumId);
+                } else if (action === 'invites') {
+                    return await handleCreateInvite(req, res, forumId);
+                } else if (action === 'rules' && pathSegments[4] === 'acknowledge') {
+                    return await handleAcknowledgeRules(req, res, forumId);
                 }
             } else {
                 // Create new forum
@@ -39,6 +85,36 @@ module.exports = async function handler(req, res) {
             }
         }
         
+        if (req.method === 'PUT') {
+            // Host settings: /api/forums/{forumId}
+            const url = new URL(req.url, `http://${req.headers.host}`);
+            const forumId = url.pathname.split('/').filter(Boolean)[2];
+            
+            if (forumId) {
+                return await handleUpdateForum(req, res, forumId);
+            }
+        }
+        
+        if (req.method === 'DELETE') {
+            // Remove a co-host: /api/forums/{forumId}/cohosts/{userId}
+            const url = new URL(req.url, `http://${req.headers.host}`);
+            const pathSegments = url.pathname.split('/').filter(Boolean);
+            
+            if (pathSegments[3] === 'cohosts' && pathSegments[4]) {
+                return await handleRemoveCohost(req, res, pathSegments[2], pathSegments[4]);
+            }
+            
+            // Revoke an invite link: /api/forums/{forumId}/invites/{token}
+            if (pathSegments[3] === 'invites' && pathSegments[4]) {
+                return await handleRevokeInvite(req, res, pathSegments[2], pathSegments[4]);
+            }
+            
+            // Delete the forum: /api/forums/{forumId}
+            if (pathSegments.length === 3) {
+                return await handleDeleteForum(req, res, pathSegments[2]);
+            }
+        }
+        
         return res.status(405).json({ error: 'Method not allowed' });
     } catch (error) {
         console.error('Forums error:', error);
@@ -53,20 +129,33 @@ async function handleGetForums(req, res) {
     try {
         const { search, topic, trending } = req.query;
         
+        // Signed-in users also see the unlisted and private forums they belong to
+        const session = await getSession(req);
+        const userId = session ? session.userId : null;
+        
         // Get all forum IDs
-        const forumIds = await redis.smembers('forums') || [];
+        const [forumIds, trendingScores] = await Promise.all([
+            redis.smembers('forums'),
+            getTrendingScores()
+        ]);
         const forums = [];
         
-        // Fetch each forum with participant count
-        for (const forumId of forumIds) {
+        // Fetch each forum with participant count; archived forums stay
+        // readable by ID but are no longer listed
+        for (const forumId of forumIds || []) {
             const forum = await redis.get(`forum:${forumId}`);
-            if (forum) {
+            if (!forum || forum.archived) {
+                continue;
+            }
+            
+            if (getVisibility(forum) === 'public' || await isMember(userId, forum)) {
                 // Get current participant count
                 const participants = await redis.scard(`forum:${forumId}:participants`) || 0;
                 forums.push({ 
                     ...forum, 
                     participants,
-                    isActive: participants > 0
+                    isActive: participants > 0,
+                    trendingScore: Math.round((trendingScores[forumId] || 0) * 100) / 100
                 });
             }
         }
@@ -84,24 +173,27 @@ async function handleGetForums(req, res) {
             );
         }
         
-        // Topic filter
-        if (topic && topic !== 'all') {
+        // Topic filter. The trending list spans every topic; older clients
+        // still send topic=trending along with it.
+        if (topic && topic !== 'all' && trending !== 'true') {
             filteredForums = filteredForums.filter(forum => forum.topic === topic);
         }
         
-        // Trending filter (forums with participants)
+        // Trending filter: forums with recent activity, highest score first
         if (trending === 'true') {
-            filteredForums = filteredForums.filter(forum => forum.participants > 0);
+            filteredForums = filteredForums
+                .filter(forum => (trendingScores[forum.id] || 0) >= MIN_TRENDING_SCORE)
+                .sort((a, b) => trendingScores[b.id] - trendingScores[a.id]);
+        } else {
+            // Sort by participant count (most active first), then by creation date
+            filteredForums.sort((a, b) => {
+                if (b.participants !== a.participants) {
+                    return b.participants - a.participants;
+                }
+                return new Date(b.createdAt) - new Date(a.createdAt);
+            });
         }
         
-        // Sort by participant count (most active first), then by creation date
-        filteredForums.sort((a, b) => {
-            if (b.participants !== a.participants) {
-                return b.participants - a.participants;
-            }
-            return new Date(b.createdAt) - new Date(a.createdAt);
-        });
-        
         return res.status(200).json(filteredForums);
     } catch (error) {
         console.error('Get forums error:', error);
@@ -109,15 +201,83 @@ async function handleGetForums(req, res) {
     }
 }
 
+// Forums picked for the signed-in user from their interests, the topics of
+// their forums and what similar users are in
+async function handleGetRecommendations(req, res) {
+    const session = await requireSession(req, res);
+    if (!session) return;
+    
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 20);
+    const forums = await recommendForums(session.userId, limit);
+    
+    if (!forums) {
+        return res.status(404).json({ error: 'User not found' });
+    }
+    
+    return res.status(200).json({ forums });
+}
+
+// Who is in the forum right now, with their role in it. Used for @mention
+// autocomplete and the host's co-host controls.
+async function handleGetParticipants(req, res, forumId) {
+    const session = await requireSession(req, res);
+    if (!session) return;
+    
+    const forum = await redis.get(`forum:${forumId}`);
+    if (!forum) {
+        return res.status(404).json({ error: 'Forum not found' });
+    }
+    
+    if (!await canViewForum(session.userId, forum)) {
+        return res.status(403).json({ error: 'This forum is private' });
+    }
+    
+    const [participantIds, cohostIds] = await Promise.all([
+        redis.smembers(`forum:${forumId}:participants`),
+        redis.smembers(`forum:${forumId}:cohosts`)
+    ]);
+    const users = await Promise.all((participantIds || []).map(id => redis.get(`user:${id}`)));
+    const cohosts = new Set(cohostIds || []);
+    
+    const roleIn = userId => userId === forum.hostId ? 'host' : cohosts.has(userId) ? 'cohost' : null;
+    
+    const participants = users
+        .filter(Boolean)
+        .map(user => ({ id: user.id, displayName: user.displayName, role: roleIn(user.id) }))
+        .sort((a, b) => a.displayName.localeCompare(b.displayName));
+    
+    return res.status(200).json({
+        participants,
+        permissions: await getForumPermissions(session.userId, forum)
+    });
+}
+
 async function handleCreateForum(req, res) {
-    const { title, topic, hostId } = req.body;
+    const session = await requireSession(req, res);
+    if (!session) return;
+    
+    const { title, topic, description, rules = [], visibility = 'public' } = req.body;
+    const hostId = session.userId;
     
     if (!title || !title.trim()) {
         return res.status(400).json({ error: 'Forum title is required' });
     }
     
-    if (!hostId) {
-        return res.status(400).json({ error: 'Host ID is required' });
+    if (title.trim().length > MAX_TITLE_LENGTH) {
+        return res.status(400).json({ error: `Forum title must be at most ${MAX_TITLE_LENGTH} characters` });
+    }
+    
+    if (!await topicExists(topic)) {
+        return res.status(400).json({ error: 'Choose a topic from the topic list' });
+    }
+    
+    if (!FORUM_VISIBILITIES.includes(visibility)) {
+        return res.status(400).json({ error: `Visibility must be one of: ${FORUM_VISIBILITIES.join(', ')}` });
+    }
+    
+    const cleanRules = normalizeRules(rules);
+    if (!cleanRules) {
+        return res.status(400).json({ error: `Rules must be a list of at most ${MAX_RULES} rules of up to ${MAX_RULE_LENGTH} characters` });
     }
     
     // Verify user exists
@@ -130,7 +290,12 @@ async function handleCreateForum(req, res) {
     const forum = {
         id: forumId,
         title: title.trim(),
-        topic: topic || 'general',
+        topic,
+        description: typeof description === 'string' ? description.trim().substring(0, MAX_DESCRIPTION_LENGTH) : '',
+        rules: cleanRules,
+        visibility,
+        locked: false,
+        archived: false,
         host: user.displayName,
         hostId,
         participants: 0,
@@ -141,6 +306,13 @@ async function handleCreateForum(req, res) {
     // Store forum
     await redis.set(`forum:${forumId}`, forum);
     await redis.sadd('forums', forumId);
+    await redis.sadd(`user:${hostId}:hosted`, forumId);
+    if (visibility !== 'public') {
+        await redis.sadd(`forum:${forumId}:members`, hostId);
+    }
+    if (cleanRules.length > 0) {
+        await acknowledgeRules(hostId, forum);
+    }
     
     // Update user's created forums count
     if (user.forumsCreated) {
@@ -150,21 +322,38 @@ async function handleCreateForum(req, res) {
     }
     await redis.set(`user:${hostId}`, user);
     
+    // Only public forums are announced; the others are found through their link
+    if (visibility !== 'public') {
+        return res.status(201).json(forum);
+    }
+    
     // Broadcast forum creation to all connected users
-    await broadcastEvent({
+    await broadcastGlobal({
         type: 'forum_created',
         forum: { ...forum, participants: 0 }
     });
     
+    // Notify users who follow the topic (their profile interests)
+    const followers = await redis.smembers(`topic:${forum.topic}:followers`) || [];
+    await Promise.all(followers
+        .filter(followerId => followerId !== hostId)
+        .map(followerId => createNotification(followerId, 'forum_created', {
+            forumId,
+            forumTitle: forum.title,
+            topic: forum.topic,
+            fromUserId: hostId,
+            fromUserName: user.displayName
+        })));
+    
     return res.status(201).json(forum);
 }
 
 async function handleJoinForum(req, res, forumId) {
-    const { userId } = req.body;
+    const session = await requireSession(req, res);
+    if (!session) return;
     
-    if (!userId) {
-        return res.status(400).json({ error: 'User ID is required' });
-    }
+    const { userId } = session;
+    const { inviteToken } = req.body || {};
     
     // Verify forum and user exist
     const [forum, user] = await Promise.all([
@@ -183,6 +372,20 @@ async function handleJoinForum(req, res, forumId) {
     // Check if user is already in the forum
     const isAlreadyParticipant = await redis.sismember(`forum:${forumId}:participants`, userId);
     
+    // Joining an unlisted or private forum makes the user a member, so it
+    // shows in their list. Newcomers to a private forum need an invite;
+    // whoever may manage the forum gets in without using one up.
+    const visibility = getVisibility(forum);
+    if (visibility !== 'public' && !isAlreadyParticipant && !await isMember(userId, forum)) {
+        if (visibility === 'private'
+            && !await can(userId, 'forum.manage', { forum })
+            && !await redeemInvite(forumId, inviteToken)) {
+            return res.status(403).json({ error: 'This forum is private. Ask the host for an invite link.' });
+        }
+        
+        await redis.sadd(`forum:${forumId}:members`, userId);
+    }
+    
     if (!isAlreadyParticipant) {
         // Add user to forum participants
         await redis.sadd(`forum:${forumId}:participants`, userId);
@@ -204,7 +407,8 @@ async function handleJoinForum(req, res, forumId) {
     
     // Broadcast user joined event
     if (!isAlreadyParticipant) {
-        await broadcastEvent({
+        await recordJoin(forumId);
+        await broadcastToRoom(forumId, {
             type: 'user_joined',
             roomId: forumId,
             userId,
@@ -213,15 +417,19 @@ async function handleJoinForum(req, res, forumId) {
         });
     }
     
-    return res.status(200).json({ ...forum, participants });
+    return res.status(200).json({
+        ...forum,
+        participants,
+        permissions: await getForumPermissions(userId, forum),
+        rulesAcknowledged: await hasAcknowledgedRules(userId, forum)
+    });
 }
 
 async function handleLeaveForum(req, res, forumId) {
-    const { userId } = req.body;
+    const session = await requireSession(req, res);
+    if (!session) return;
     
-    if (!userId) {
-        return res.status(400).json({ error: 'User ID is required' });
-    }
+    const { userId } = session;
     
     const user = await redis.get(`user:${userId}`);
     if (!user) {
@@ -236,7 +444,7 @@ async function handleLeaveForum(req, res, forumId) {
     const participants = await redis.scard(`forum:${forumId}:participants`) || 0;
     
     // Broadcast user left event
-    await broadcastEvent({
+    await broadcastToRoom(forumId, {
         type: 'user_left',
         roomId: forumId,
         userId,
@@ -247,24 +455,334 @@ async function handleLeaveForum(req, res, forumId) {
     return res.status(200).json({ success: true, participants });
 }
 
-async function broadcastEvent(event) {
-    try {
-        // Get all active SSE connections
-        const connections = await redis.smembers('sse:connections') || [];
-        
-        // Queue event for each connection
-        const promises = connections.map(async (connId) => {
-            try {
-                await redis.lpush(`sse:queue:${connId}`, JSON.stringify(event));
-                // Set expiry on queue items (1 hour)
-                await redis.expire(`sse:queue:${connId}`, 3600);
-            } catch (error) {
-                console.error(`Failed to queue event for connection ${connId}:`, error);
+// Partial update of the forum's settings by its hosts or a moderator.
+// Locking makes the forum read-only; archiving also drops it from the list.
+async function handleUpdateForum(req, res, forumId) {
+    const session = await requireSession(req, res);
+    if (!session) return;
+    
+    const forum = await redis.get(`forum:${forumId}`);
+    if (!forum) {
+        return res.status(404).json({ error: 'Forum not found' });
+    }
+    
+    if (!await requirePermission(res, session.userId, 'forum.manage', { forum }, 'Only the host can change this forum')) {
+        return;
+    }
+    
+    const { title, topic, description, rules, visibility, locked, archived } = req.body || {};
+    const updates = {};
+    
+    if (title !== undefined) {
+        if (typeof title !== 'string' || !title.trim()) {
+            return res.status(400).json({ error: 'Forum title is required' });
+        }
+        if (title.trim().length > MAX_TITLE_LENGTH) {
+            return res.status(400).json({ error: `Forum title must be at most ${MAX_TITLE_LENGTH} characters` });
+        }
+        updates.title = title.trim();
+    }
+    
+    if (topic !== undefined) {
+        if (!await topicExists(topic)) {
+            return res.status(400).json({ error: 'Choose a topic from the topic list' });
+        }
+        updates.topic = topic;
+    }
+    
+    if (description !== undefined) {
+        if (typeof description !== 'string' || description.trim().length > MAX_DESCRIPTION_LENGTH) {
+            return res.status(400).json({ error: `Description must be at most ${MAX_DESCRIPTION_LENGTH} characters` });
+        }
+        updates.description = description.trim();
+    }
+    
+    if (rules !== undefined) {
+        const cleanRules = normalizeRules(rules);
+        if (!cleanRules) {
+            return res.status(400).json({ error: `Rules must be a list of at most ${MAX_RULES} rules of up to ${MAX_RULE_LENGTH} characters` });
+        }
+        if (JSON.stringify(cleanRules) !== JSON.stringify(forum.rules || [])) {
+            updates.rules = cleanRules;
+        }
+    }
+    
+    if (visibility !== undefined) {
+        if (!FORUM_VISIBILITIES.includes(visibility)) {
+            return res.status(400).json({ error: `Visibility must be one of: ${FORUM_VISIBILITIES.join(', ')}` });
+        }
+        updates.visibility = visibility;
+    }
+    
+    for (const [field, value] of Object.entries({ locked, archived })) {
+        if (value !== undefined) {
+            if (typeof value !== 'boolean') {
+                return res.status(400).json({ error: `${field} must be true or false` });
             }
+            updates[field] = value;
+        }
+    }
+    
+    if (Object.keys(updates).length === 0) {
+        return res.status(400).json({ error: 'No changes provided' });
+    }
+    
+    const updatedForum = {
+        ...forum,
+        ...updates,
+        updatedAt: new Date().toISOString(),
+        updatedBy: session.userId
+    };
+    await redis.set(`forum:${forumId}`, updatedForum);
+    
+    // New rules need accepting again, except by whoever wrote them
+    if (updates.rules) {
+        await resetRuleAcknowledgements(updatedForum);
+        if (updates.rules.length > 0) {
+            await acknowledgeRules(session.userId, updatedForum);
+        }
+    }
+    
+    const wasPublic = getVisibility(forum) === 'public';
+    const isPublic = getVisibility(updatedForum) === 'public';
+    
+    // Whoever is in the room when it stops being public stays a member
+    if (!isPublic) {
+        const participantIds = await redis.smembers(`forum:${forumId}:participants`) || [];
+        await redis.sadd(`forum:${forumId}:members`, ...[forum.hostId, ...participantIds].filter(Boolean));
+    }
+    
+    const participants = await redis.scard(`forum:${forumId}:participants`) || 0;
+    const event = {
+        type: 'forum_updated',
+        roomId: forumId,
+        forum: { ...updatedForum, participants },
+        changes: Object.keys(updates)
+    };
+    
+    // Changes to a public forum go to everyone: open rooms update their
+    // header and input, forum lists update (or drop) the card. Other forums
+    // only tell their room, plus a forum_hidden for lists that still show it.
+    if (isPublic) {
+        await broadcastGlobal(event);
+    } else {
+        await broadcastToRoom(forumId, event);
+        if (wasPublic) {
+            await broadcastGlobal({ type: 'forum_hidden', forumId });
+        }
+    }
+    
+    return res.status(200).json({ ...updatedForum, participants });
+}
+
+// Deletes the forum with its messages and memberships. Everyone is told, so
+// lists drop the card and anyone in the room is sent back to the list.
+async function handleDeleteForum(req, res, forumId) {
+    const session = await requireSession(req, res);
+    if (!session) return;
+    
+    const forum = await redis.get(`forum:${forumId}`);
+    if (!forum) {
+        return res.status(404).json({ error: 'Forum not found' });
+    }
+    
+    if (!await requirePermission(res, session.userId, 'forum.delete', { forum }, 'Only the host can delete this forum')) {
+        return;
+    }
+    
+    const event = {
+        type: 'forum_deleted',
+        roomId: forumId,
+        forumId,
+        title: forum.title
+    };
+    
+    // Non-public forums aren't in anyone else's list, only the room hears.
+    // That has to happen while the participants are still there; deleteForum
+    // then drops the room's replay log along with them.
+    const isPublic = getVisibility(forum) === 'public';
+    if (!isPublic) {
+        await broadcastToRoom(forumId, event);
+    }
+    
+    const result = await deleteForum(forum);
+    
+    if (isPublic) {
+        await broadcastGlobal(event);
+    }
+    
+    return res.status(200).json({ success: true, ...result });
+}
+
+// Hosts (and admins) can share management of their forum with participants
+async function handleAddCohost(req, res, forumId) {
+    const session = await requireSession(req, res);
+    if (!session) return;
+    
+    const { userId } = req.body || {};
+    
+    const forum = await redis.get(`forum:${forumId}`);
+    if (!forum) {
+        return res.status(404).json({ error: 'Forum not found' });
+    }
+    
+    if (!await requirePermission(res, session.userId, 'forum.cohosts', { forum }, 'Only the host can manage co-hosts')) {
+        return;
+    }
+    
+    if (!userId || userId === forum.hostId) {
+        return res.status(400).json({ error: 'Choose a participant other than the host' });
+    }
+    
+    if (!await redis.sismember(`forum:${forumId}:participants`, userId)) {
+        return res.status(400).json({ error: 'Co-hosts must be participants of the forum' });
+    }
+    
+    await redis.sadd(`forum:${forumId}:cohosts`, userId);
+    await broadcastCohosts(forumId);
+    
+    return res.status(200).json({ success: true });
+}
+
+async function handleRemoveCohost(req, res, forumId, userId) {
+    const session = await requireSession(req, res);
+    if (!session) return;
+    
+    const forum = await redis.get(`forum:${forumId}`);
+    if (!forum) {
+        return res.status(404).json({ error: 'Forum not found' });
+    }
+    
+    if (!await requirePermission(res, session.userId, 'forum.cohosts', { forum }, 'Only the host can manage co-hosts')) {
+        return;
+    }
+    
+    if (!await redis.srem(`forum:${forumId}:cohosts`, userId)) {
+        return res.status(404).json({ error: 'Not a co-host of this forum' });
+    }
+    
+    await broadcastCohosts(forumId);
+    
+    return res.status(200).json({ success: true });
+}
+
+// Participants accept the rules once (and again after they change) before
+// they can post
+async function handleAcknowledgeRules(req, res, forumId) {
+    const session = await requireSession(req, res);
+    if (!session) return;
+    
+    const forum = await redis.get(`forum:${forumId}`);
+    if (!forum) {
+        return res.status(404).json({ error: 'Forum not found' });
+    }
+    
+    if (!await redis.sismember(`forum:${forumId}:participants`, session.userId)) {
+        return res.status(403).json({ error: 'Join the forum to accept its rules' });
+    }
+    
+    const acknowledgedAt = await acknowledgeRules(session.userId, forum);
+    
+    return res.status(200).json({ success: true, acknowledgedAt });
+}
+
+// Invite links into the forum. With a userId the invite is also sent to that
+// user as a notification.
+async function handleCreateInvite(req, res, forumId) {
+    const session = await requireSession(req, res);
+    if (!session) return;
+    
+    const forum = await redis.get(`forum:${forumId}`);
+    if (!forum) {
+        return res.status(404).json({ error: 'Forum not found' });
+    }
+    
+    if (!await requirePermission(res, session.userId, 'forum.invite', { forum }, 'Only the host can invite people to this forum')) {
+        return;
+    }
+    
+    const { expiresInHours, maxUses, userId } = req.body || {};
+    
+    let invitee = null;
+    if (userId) {
+        invitee = await redis.get(`user:${userId}`);
+        if (!invitee) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+    }
+    
+    const invite = await createInvite(forumId, session.userId, { expiresInHours, maxUses });
+    
+    if (invitee) {
+        const inviter = await redis.get(`user:${session.userId}`);
+        await createNotification(invitee.id, 'invite', {
+            forumId,
+            forumTitle: forum.title,
+            inviteToken: invite.token,
+            fromUserId: session.userId,
+            fromUserName: inviter ? inviter.displayName : 'Someone'
         });
-        
-        await Promise.all(promises);
-    } catch (error) {
-        console.error('Broadcast error:', error);
     }
+    
+    return res.status(201).json(invite);
+}
+
+async function handleListInvites(req, res, forumId) {
+    const session = await requireSession(req, res);
+    if (!session) return;
+    
+    const forum = await redis.get(`forum:${forumId}`);
+    if (!forum) {
+        return res.status(404).json({ error: 'Forum not found' });
+    }
+    
+    if (!await requirePermission(res, session.userId, 'forum.invite', { forum }, 'Only the host can see invite links')) {
+        return;
+    }
+    
+    return res.status(200).json({ invites: await listInvites(forumId) });
+}
+
+async function handleRevokeInvite(req, res, forumId, token) {
+    const session = await requireSession(req, res);
+    if (!session) return;
+    
+    const forum = await redis.get(`forum:${forumId}`);
+    if (!forum) {
+        return res.status(404).json({ error: 'Forum not found' });
+    }
+    
+    if (!await requirePermission(res, session.userId, 'forum.invite', { forum }, 'Only the host can revoke invite links')) {
+        return;
+    }
+    
+    if (!await revokeInvite(forumId, token)) {
+        return res.status(404).json({ error: 'Invite not found' });
+    }
+    
+    return res.status(200).json({ success: true });
+}
+
+// Trimmed, non-empty rules, or null when they aren't a list of strings
+// within the limits
+function normalizeRules(rules) {
+    if (!Array.isArray(rules) || rules.some(rule => typeof rule !== 'string')) {
+        return null;
+    }
+    
+    const cleanRules = rules.map(rule => rule.trim()).filter(Boolean);
+    if (cleanRules.length > MAX_RULES || cleanRules.some(rule => rule.length > MAX_RULE_LENGTH)) {
+        return null;
+    }
+    
+    return cleanRules;
+}
+
+// Participants refresh their controls and role badges from this
+async function broadcastCohosts(forumId) {
+    await broadcastToRoom(forumId, {
+        type: 'cohosts_updated',
+        roomId: forumId,
+        cohosts: await redis.smembers(`forum:${forumId}:cohosts`) || []
+    });
 }
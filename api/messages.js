@@ -1,13 +1,24 @@
 // api/messages.js - Upgraded v2.0
-const { Redis } = require('@upstash/redis');
-const redis = Redis.fromEnv();
+const { redis } = require('../lib/storage');
 const { nanoid } = require('nanoid');
+const { requireSession, getSession } = require('../lib/session');
+const { broadcastToRoom, broadcastToUser } = require('../lib/events');
+const { setTyping, clearTyping } = require('../lib/typing');
+const { resolveMentions } = require('../lib/mentions');
+const { createNotification } = require('../lib/notifications');
+const { removeMessage, addToTimeline, getTimelinePage, countTimeline } = require('../lib/messages');
+const { requirePermission } = require('../lib/permissions');
+const { canViewForum, hasAcknowledgedRules } = require('../lib/forums');
+const { recordMessage } = require('../lib/trending');
+
+// Reactions are limited to a fixed palette so keys stay bounded
+const REACTION_EMOJIS = ['👍', '❤️', '😂', '😮', '😢', '🎉'];
 
 module.exports = async function handler(req, res) {
     // CORS headers
     res.setHeader('Access-Control-Allow-Origin', '*');
     res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
     
     if (req.method === 'OPTIONS') {
         return res.status(200).end();
@@ -19,6 +30,16 @@ module.exports = async function handler(req, res) {
             return await handleTypingIndicator(req, res);
         }
         
+        // Handle reaction endpoints: POST/DELETE /api/messages/reactions
+        if (req.url.includes('/reactions')) {
+            return await handleReaction(req, res);
+        }
+        
+        // Handle thread endpoint: GET /api/messages/thread?messageId=...
+        if (req.url.includes('/thread') && req.method === 'GET') {
+            return await handleGetThread(req, res);
+        }
+        
         if (req.method === 'GET') {
             return await handleGetMessages(req, res);
         }
@@ -45,8 +66,13 @@ module.exports = async function handler(req, res) {
     }
 }
 
+// Pages through the forum's timeline (newest first) with a stable cursor:
+// `before` is the ID of the oldest message the client already has, so new
+// messages arriving at the head never shift the pages, and it keeps working
+// after that message is deleted.
 async function handleGetMessages(req, res) {
-    const { forumId, limit = 50, offset = 0 } = req.query;
+    const { forumId, before } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 100);
     
     if (!forumId) {
         return res.status(400).json({ error: 'Forum ID is required' });
@@ -59,33 +85,29 @@ async function handleGetMessages(req, res) {
             return res.status(404).json({ error: 'Forum not found' });
         }
         
-        // Get message IDs with pagination
-        const messageIds = await redis.lrange(
-            `forum:${forumId}:messages`, 
-            parseInt(offset), 
-            parseInt(offset) + parseInt(limit) - 1
-        );
+        const session = await getSession(req);
+        if (!await canViewForum(session ? session.userId : null, forum)) {
+            return res.status(403).json({ error: 'This forum is private' });
+        }
+        
+        const page = await getTimelinePage(forumId, { before, limit });
+        if (!page) {
+            return res.status(400).json({ error: 'Cursor message not found in this forum' });
+        }
         
-        const messages = [];
+        const { messageIds, hasMore, nextCursor } = page;
         
         // Fetch messages in parallel for better performance
-        const messagePromises = messageIds.map(msgId => redis.get(`message:${msgId}`));
-        const messageResults = await Promise.all(messagePromises);
-        
-        // Filter out null results and sort by timestamp
-        messageResults.forEach(message => {
-            if (message) {
-                messages.push(message);
-            }
-        });
+        const messageResults = await Promise.all(messageIds.map(msgId => redis.get(`message:${msgId}`)));
         
-        // Sort messages by timestamp (oldest first for chat display)
-        messages.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+        // Filter out missing messages, oldest first for chat display
+        const messages = await withOwnReactions(messageResults.filter(Boolean).reverse(), forumId, session);
         
         return res.status(200).json({
             messages,
-            hasMore: messageIds.length === parseInt(limit),
-            total: await redis.llen(`forum:${forumId}:messages`) || 0
+            hasMore,
+            nextCursor,
+            total: await countTimeline(forumId)
         });
     } catch (error) {
         console.error('Get messages error:', error);
@@ -93,11 +115,52 @@ async function handleGetMessages(req, res) {
     }
 }
 
+// Returns a top-level message together with all of its replies (oldest first)
+async function handleGetThread(req, res) {
+    const { messageId } = req.query;
+    
+    if (!messageId) {
+        return res.status(400).json({ error: 'Message ID is required' });
+    }
+    
+    try {
+        const parent = await redis.get(`message:${messageId}`);
+        if (!parent) {
+            return res.status(404).json({ error: 'Message not found' });
+        }
+        
+        if (parent.parentId) {
+            return res.status(400).json({ error: 'Message is a reply, fetch its parent thread instead' });
+        }
+        
+        const [session, forum] = await Promise.all([getSession(req), redis.get(`forum:${parent.forumId}`)]);
+        if (forum && !await canViewForum(session ? session.userId : null, forum)) {
+            return res.status(403).json({ error: 'This forum is private' });
+        }
+        
+        const replyIds = await redis.lrange(`message:${messageId}:replies`, 0, -1) || [];
+        const replies = (await Promise.all(replyIds.map(replyId => redis.get(`message:${replyId}`)))).filter(Boolean);
+        const [annotatedParent, ...annotatedReplies] = await withOwnReactions([parent, ...replies], parent.forumId, session);
+        
+        return res.status(200).json({
+            parent: { ...annotatedParent, replyCount: replies.length },
+            replies: annotatedReplies
+        });
+    } catch (error) {
+        console.error('Get thread error:', error);
+        return res.status(500).json({ error: 'Failed to fetch thread' });
+    }
+}
+
 async function handleSendMessage(req, res) {
-    const { forumId, userId, text } = req.body;
+    const session = await requireSession(req, res);
+    if (!session) return;
     
-    if (!forumId || !userId || !text) {
-        return res.status(400).json({ error: 'Forum ID, user ID, and text are required' });
+    const { forumId, text, parentId } = req.body;
+    const { userId } = session;
+    
+    if (!forumId || !text) {
+        return res.status(400).json({ error: 'Forum ID and text are required' });
     }
     
     // Validate message length
@@ -125,12 +188,21 @@ async function handleSendMessage(req, res) {
             return res.status(404).json({ error: 'Forum not found' });
         }
         
+        // Locked and archived forums are read-only
+        if (forum.locked || forum.archived) {
+            return res.status(403).json({ error: forum.archived ? 'This forum is archived' : 'This forum is locked' });
+        }
+        
         // Check if user is a participant in the forum
         const isParticipant = await redis.sismember(`forum:${forumId}:participants`, userId);
         if (!isParticipant) {
             return res.status(403).json({ error: 'You must join the forum to send messages' });
         }
         
+        if (!await hasAcknowledgedRules(userId, forum)) {
+            return res.status(403).json({ error: 'Please accept the forum rules before posting' });
+        }
+        
         // Rate limiting: Check if user sent a message in the last 2 seconds
         const lastMessageKey = `user:${userId}:lastMessage`;
         const lastMessageTime = await redis.get(lastMessageKey);
@@ -140,6 +212,19 @@ async function handleSendMessage(req, res) {
             return res.status(429).json({ error: 'Please wait before sending another message' });
         }
         
+        // Replies hang off a top-level message in the same forum (one level deep)
+        let parent = null;
+        if (parentId) {
+            parent = await redis.get(`message:${parentId}`);
+            if (!parent || parent.forumId !== forumId) {
+                return res.status(404).json({ error: 'Parent message not found' });
+            }
+            
+            if (parent.parentId) {
+                return res.status(400).json({ error: 'Cannot reply to a reply' });
+            }
+        }
+        
         const messageId = nanoid();
         const message = {
             id: messageId,
@@ -147,19 +232,28 @@ async function handleSendMessage(req, res) {
             userId,
             userName: user.displayName,
             text: cleanText,
+            mentions: await resolveMentions(cleanText, userId),
+            parentId: parent ? parent.id : null,
+            replyCount: 0,
             timestamp: new Date().toISOString(),
             edited: false
         };
         
-        // Store message and update forum message list
+        // Store message; replies go to their thread instead of the forum timeline
         await Promise.all([
             redis.set(`message:${messageId}`, message),
-            redis.lpush(`forum:${forumId}:messages`, messageId),
+            redis.sadd(`user:${userId}:messages`, messageId),
+            parent
+                ? redis.rpush(`message:${parent.id}:replies`, messageId)
+                : addToTimeline(forumId, messageId),
             redis.set(lastMessageKey, now.toString(), { ex: 2 }) // 2 second expiry
         ]);
         
-        // Trim messages to last 200 (keep more for better UX)
-        await redis.ltrim(`forum:${forumId}:messages`, 0, 199);
+        if (parent) {
+            parent.replyCount = await redis.llen(`message:${parent.id}:replies`) || 0;
+            parent.lastReplyAt = message.timestamp;
+            await redis.set(`message:${parent.id}`, parent);
+        }
         
         // Update user statistics
         const updatedUser = { ...user };
@@ -170,25 +264,35 @@ async function handleSendMessage(req, res) {
         // Update forum's last activity
         forum.lastActivity = new Date().toISOString();
         await redis.set(`forum:${forumId}`, forum);
+        await recordMessage(forumId, userId);
         
-        // Clear typing indicator for this user
-        await redis.del(`typing:${forumId}:${userId}`);
+        // Clear typing indicator for this user (SSE connections pick up the change)
+        await clearTyping(forumId, userId);
         
-        // Broadcast message to all connected clients
-        await broadcastEvent({
+        // Broadcast message to everyone in the forum; replies carry the
+        // parent's new reply count so open rooms can update it
+        await broadcastToRoom(forumId, {
             type: 'message',
             roomId: forumId,
-            message
+            message,
+            ...(parent && { replyCount: parent.replyCount })
         });
         
-        // Also broadcast typing stopped
-        await broadcastEvent({
-            type: 'typing',
-            roomId: forumId,
-            userId,
-            userName: user.displayName,
-            isTyping: false
-        });
+        await notifyMentions(message, forum, message.mentions);
+        
+        // Tell the thread's author about the reply, unless they were already
+        // notified through a mention
+        if (parent && parent.userId !== userId && !message.mentions.includes(parent.userId)) {
+            await createNotification(parent.userId, 'reply', {
+                forumId,
+                forumTitle: forum.title,
+                messageId,
+                parentId: parent.id,
+                fromUserId: userId,
+                fromUserName: user.displayName,
+                text: cleanText.substring(0, 140)
+            });
+        }
         
         return res.status(201).json(message);
     } catch (error) {
@@ -198,10 +302,14 @@ async function handleSendMessage(req, res) {
 }
 
 async function handleTypingIndicator(req, res) {
-    const { forumId, userId } = req.body;
+    const session = await requireSession(req, res);
+    if (!session) return;
+    
+    const { forumId } = req.body;
+    const { userId } = session;
     
-    if (!forumId || !userId) {
-        return res.status(400).json({ error: 'Forum ID and user ID are required' });
+    if (!forumId) {
+        return res.status(400).json({ error: 'Forum ID is required' });
     }
     
     try {
@@ -216,28 +324,14 @@ async function handleTypingIndicator(req, res) {
             return res.status(403).json({ error: 'You must join the forum first' });
         }
         
+        // No broadcast here: each SSE connection watches the forum's typing
+        // set and pushes a typing_update only when it changes.
         if (req.method === 'POST') {
-            // User started typing - set with 5 second expiry
-            await redis.setex(`typing:${forumId}:${userId}`, 5, user.displayName);
-            
-            await broadcastEvent({
-                type: 'typing',
-                roomId: forumId,
-                userId,
-                userName: user.displayName,
-                isTyping: true
-            });
+            // User started typing - expires 5 seconds after the last keystroke
+            await setTyping(forumId, userId, user.displayName);
         } else if (req.method === 'DELETE') {
             // User stopped typing
-            await redis.del(`typing:${forumId}:${userId}`);
-            
-            await broadcastEvent({
-                type: 'typing',
-                roomId: forumId,
-                userId,
-                userName: user.displayName,
-                isTyping: false
-            });
+            await clearTyping(forumId, userId);
         }
         
         return res.status(200).json({ success: true });
@@ -248,10 +342,14 @@ async function handleTypingIndicator(req, res) {
 }
 
 async function handleEditMessage(req, res) {
-    const { messageId, userId, text } = req.body;
+    const session = await requireSession(req, res);
+    if (!session) return;
     
-    if (!messageId || !userId || !text) {
-        return res.status(400).json({ error: 'Message ID, user ID, and text are required' });
+    const { messageId, text } = req.body;
+    const { userId } = session;
+    
+    if (!messageId || !text) {
+        return res.status(400).json({ error: 'Message ID and text are required' });
     }
     
     // Validate message length
@@ -271,15 +369,15 @@ async function handleEditMessage(req, res) {
             return res.status(404).json({ error: 'Message not found' });
         }
         
-        // Check if user owns the message
-        if (message.userId !== userId) {
-            return res.status(403).json({ error: 'You can only edit your own messages' });
+        if (!await requirePermission(res, userId, 'message.edit', { message }, 'You can only edit your own messages')) {
+            return;
         }
         
         // Update message
         const updatedMessage = {
             ...message,
             text: cleanText,
+            mentions: await resolveMentions(cleanText, userId),
             edited: true,
             editedAt: new Date().toISOString()
         };
@@ -287,12 +385,20 @@ async function handleEditMessage(req, res) {
         await redis.set(`message:${messageId}`, updatedMessage);
         
         // Broadcast message update
-        await broadcastEvent({
+        await broadcastToRoom(message.forumId, {
             type: 'message_edited',
             roomId: message.forumId,
             message: updatedMessage
         });
         
+        // Only users newly mentioned by the edit are notified
+        const previousMentions = message.mentions || [];
+        const addedMentions = updatedMessage.mentions.filter(id => !previousMentions.includes(id));
+        if (addedMentions.length > 0) {
+            const forum = await redis.get(`forum:${message.forumId}`);
+            await notifyMentions(updatedMessage, forum, addedMentions);
+        }
+        
         return res.status(200).json(updatedMessage);
     } catch (error) {
         console.error('Edit message error:', error);
@@ -301,10 +407,14 @@ async function handleEditMessage(req, res) {
 }
 
 async function handleDeleteMessage(req, res) {
-    const { messageId, userId } = req.body;
+    const session = await requireSession(req, res);
+    if (!session) return;
+    
+    const { messageId } = req.body;
+    const { userId } = session;
     
-    if (!messageId || !userId) {
-        return res.status(400).json({ error: 'Message ID and user ID are required' });
+    if (!messageId) {
+        return res.status(400).json({ error: 'Message ID is required' });
     }
     
     try {
@@ -314,20 +424,23 @@ async function handleDeleteMessage(req, res) {
             return res.status(404).json({ error: 'Message not found' });
         }
         
-        // Check if user owns the message
-        if (message.userId !== userId) {
-            return res.status(403).json({ error: 'You can only delete your own messages' });
+        // Authors, the forum's hosts and moderators may delete
+        const forum = await redis.get(`forum:${message.forumId}`);
+        if (!await requirePermission(res, userId, 'message.delete', { message, forum }, 'You can only delete your own messages')) {
+            return;
         }
         
-        // Delete message
-        await redis.del(`message:${messageId}`);
-        await redis.lrem(`forum:${message.forumId}:messages`, 0, messageId);
+        // Deleting a top-level message takes its thread with it
+        const replyCount = await removeMessage(message);
         
         // Broadcast message deletion
-        await broadcastEvent({
+        await broadcastToRoom(message.forumId, {
             type: 'message_deleted',
             roomId: message.forumId,
-            messageId
+            messageId,
+            parentId: message.parentId || null,
+            deletedBy: userId,
+            ...(replyCount !== undefined && { replyCount })
         });
         
         return res.status(200).json({ success: true });
@@ -337,30 +450,134 @@ async function handleDeleteMessage(req, res) {
     }
 }
 
-async function broadcastEvent(event) {
+// Adds (POST) or removes (DELETE) the acting user's reaction to a message.
+// message:{id}:reactions:{emoji} holds who reacted, so each user counts once
+// per emoji; the counts are denormalized onto the message as `reactions`.
+async function handleReaction(req, res) {
+    const session = await requireSession(req, res);
+    if (!session) return;
+    
+    const { messageId, emoji } = req.body;
+    const { userId } = session;
+    
+    if (!messageId || !emoji) {
+        return res.status(400).json({ error: 'Message ID and emoji are required' });
+    }
+    
+    if (!REACTION_EMOJIS.includes(emoji)) {
+        return res.status(400).json({ error: 'Unsupported reaction' });
+    }
+    
+    if (req.method !== 'POST' && req.method !== 'DELETE') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+    
     try {
-        // Get all active SSE connections
-        const connections = await redis.smembers('sse:connections') || [];
-        
-        if (connections.length === 0) {
-            return; // No active connections
-        }
-        
-        // Queue event for each connection with error handling
-        const promises = connections.map(async (connId) => {
-            try {
-                await redis.lpush(`sse:queue:${connId}`, JSON.stringify(event));
-                // Set expiry on queue items (30 minutes)
-                await redis.expire(`sse:queue:${connId}`, 1800);
-            } catch (error) {
-                console.error(`Failed to queue event for connection ${connId}:`, error);
-                // Remove invalid connection
-                await redis.srem('sse:connections', connId);
-            }
-        });
+        const message = await redis.get(`message:${messageId}`);
+        if (!message) {
+            return res.status(404).json({ error: 'Message not found' });
+        }
+        
+        // Check if user is a participant in the forum
+        const isParticipant = await redis.sismember(`forum:${message.forumId}:participants`, userId);
+        if (!isParticipant) {
+            return res.status(403).json({ error: 'You must join the forum to react to messages' });
+        }
+        
+        const reactorsKey = `message:${messageId}:reactions:${emoji}`;
+        const ownReactionsKey = `user:${userId}:reactions:${message.forumId}`;
+        const ownReaction = `${messageId}|${emoji}`;
+        
+        const changed = req.method === 'POST'
+            ? await redis.sadd(reactorsKey, userId)
+            : await redis.srem(reactorsKey, userId);
         
-        await Promise.allSettled(promises);
+        if (req.method === 'POST') {
+            await redis.sadd(ownReactionsKey, ownReaction);
+        } else {
+            await redis.srem(ownReactionsKey, ownReaction);
+        }
+        
+        const reactions = { ...(message.reactions || {}) };
+        const count = await redis.scard(reactorsKey) || 0;
+        if (count > 0) {
+            reactions[emoji] = count;
+        } else {
+            delete reactions[emoji];
+        }
+        
+        const updatedMessage = { ...message, reactions };
+        await redis.set(`message:${messageId}`, updatedMessage);
+        
+        // Only broadcast real changes (repeat clicks are no-ops)
+        if (changed) {
+            await broadcastToRoom(message.forumId, {
+                type: 'message_reacted',
+                roomId: message.forumId,
+                messageId,
+                parentId: message.parentId || null,
+                emoji,
+                userId,
+                action: req.method === 'POST' ? 'added' : 'removed',
+                reactions
+            });
+        }
+        
+        return res.status(200).json({ messageId, reactions });
     } catch (error) {
-        console.error('Broadcast error:', error);
+        console.error('Reaction error:', error);
+        return res.status(500).json({ error: 'Failed to update reaction' });
+    }
+}
+
+// Sends each mentioned user a `mention` event on their own channel, so it
+// reaches them wherever they are in the app, and files it in their inbox
+async function notifyMentions(message, forum, userIds) {
+    const forumTitle = forum ? forum.title : null;
+    const excerpt = message.text.substring(0, 140);
+    
+    // Users who can't see a private forum don't hear about it, or its title
+    // and the excerpt would leak to them
+    const visible = await Promise.all(userIds.map(id => forum ? canViewForum(id, forum) : true));
+    const recipients = userIds.filter((id, i) => visible[i]);
+    
+    await Promise.all(recipients.map(async (mentionedId) => {
+        await broadcastToUser(mentionedId, {
+            type: 'mention',
+            roomId: message.forumId,
+            forumTitle,
+            messageId: message.id,
+            parentId: message.parentId,
+            fromUserId: message.userId,
+            fromUserName: message.userName,
+            text: excerpt
+        });
+        
+        await createNotification(mentionedId, 'mention', {
+            forumId: message.forumId,
+            forumTitle,
+            messageId: message.id,
+            parentId: message.parentId,
+            fromUserId: message.userId,
+            fromUserName: message.userName,
+            text: excerpt
+        });
+    }));
+}
+
+// Adds `myReactions` (emojis the signed-in user used) to each message
+async function withOwnReactions(messages, forumId, session) {
+    if (!session || messages.length === 0) {
+        return messages;
+    }
+    
+    const ownReactions = await redis.smembers(`user:${session.userId}:reactions:${forumId}`) || [];
+    const byMessage = {};
+    
+    for (const entry of ownReactions) {
+        const [messageId, emoji] = String(entry).split('|');
+        (byMessage[messageId] = byMessage[messageId] || []).push(emoji);
     }
+    
+    return messages.map(message => ({ ...message, myReactions: byMessage[message.id] || [] }));
 }
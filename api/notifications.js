@@ -0,0 +1,92 @@
+// api/notifications.js - Notification inbox for the signed-in user
+const { requireSession } = require('../lib/session');
+const { broadcastToUser } = require('../lib/events');
+const { listNotifications, getUnreadCount, markRead, markAllRead } = require('../lib/notifications');
+
+module.exports = async function handler(req, res) {
+    // CORS headers
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+    
+    try {
+        if (req.method === 'GET') {
+            return await handleGetNotifications(req, res);
+        }
+        
+        if (req.method === 'POST') {
+            // Actions: /api/notifications/read and /api/notifications/read-all
+            const url = new URL(req.url, `http://${req.headers.host}`);
+            const action = url.pathname.split('/').filter(Boolean)[2];
+            
+            if (action === 'read') {
+                return await handleMarkRead(req, res);
+            } else if (action === 'read-all') {
+                return await handleMarkAllRead(req, res);
+            }
+        }
+        
+        return res.status(405).json({ error: 'Method not allowed' });
+    } catch (error) {
+        console.error('Notifications error:', error);
+        return res.status(500).json({ 
+            error: 'Internal server error',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+}
+
+async function handleGetNotifications(req, res) {
+    const session = await requireSession(req, res);
+    if (!session) return;
+    
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    
+    const [notifications, unreadCount] = await Promise.all([
+        listNotifications(session.userId, limit),
+        getUnreadCount(session.userId)
+    ]);
+    
+    return res.status(200).json({ notifications, unreadCount });
+}
+
+async function handleMarkRead(req, res) {
+    const session = await requireSession(req, res);
+    if (!session) return;
+    
+    const { notificationIds } = req.body;
+    
+    if (!Array.isArray(notificationIds) || notificationIds.length === 0) {
+        return res.status(400).json({ error: 'Notification IDs are required' });
+    }
+    
+    const unreadCount = await markRead(session.userId, notificationIds.map(String));
+    
+    // Keep the user's other devices in sync
+    await broadcastToUser(session.userId, {
+        type: 'notifications_read',
+        notificationIds,
+        unreadCount
+    });
+    
+    return res.status(200).json({ success: true, unreadCount });
+}
+
+async function handleMarkAllRead(req, res) {
+    const session = await requireSession(req, res);
+    if (!session) return;
+    
+    const unreadCount = await markAllRead(session.userId);
+    
+    await broadcastToUser(session.userId, {
+        type: 'notifications_read',
+        all: true,
+        unreadCount
+    });
+    
+    return res.status(200).json({ success: true, unreadCount });
+}
@@ -0,0 +1,86 @@
+// api/roles.js - Global admin and moderator roles, managed by admins
+const { redis } = require('../lib/storage');
+const { requireSession } = require('../lib/session');
+const {
+    GLOBAL_ROLES,
+    CONFIGURED_ADMIN_IDS,
+    requirePermission,
+    grantRole,
+    revokeRole,
+    listRoleMembers
+} = require('../lib/permissions');
+
+module.exports = async function handler(req, res) {
+    // CORS headers
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+    
+    try {
+        const session = await requireSession(req, res);
+        if (!session) return;
+        
+        if (!await requirePermission(res, session.userId, 'roles.manage', {}, 'Only admins can manage roles')) {
+            return;
+        }
+        
+        if (req.method === 'GET') {
+            return await handleListRoles(req, res);
+        }
+        
+        if (req.method === 'POST' || req.method === 'DELETE') {
+            return await handleChangeRole(req, res);
+        }
+        
+        return res.status(405).json({ error: 'Method not allowed' });
+    } catch (error) {
+        console.error('Roles error:', error);
+        return res.status(500).json({
+            error: 'Internal server error',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+}
+
+async function handleListRoles(req, res) {
+    const members = await listRoleMembers();
+    const roles = {};
+    
+    for (const role of GLOBAL_ROLES) {
+        const users = await Promise.all(members[role].map(id => redis.get(`user:${id}`)));
+        roles[role] = users
+            .filter(Boolean)
+            .map(user => ({ id: user.id, displayName: user.displayName }));
+    }
+    
+    return res.status(200).json({ roles });
+}
+
+// POST grants { userId, role }, DELETE revokes it
+async function handleChangeRole(req, res) {
+    const { userId, role } = req.body || {};
+    
+    if (!userId || !GLOBAL_ROLES.includes(role)) {
+        return res.status(400).json({ error: `User ID and a role (${GLOBAL_ROLES.join(', ')}) are required` });
+    }
+    
+    const user = await redis.get(`user:${userId}`);
+    if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+    }
+    
+    if (req.method === 'POST') {
+        await grantRole(userId, role);
+    } else {
+        if (role === 'admin' && CONFIGURED_ADMIN_IDS.includes(userId)) {
+            return res.status(400).json({ error: 'This admin is configured through ADMIN_USER_IDS' });
+        }
+        await revokeRole(userId, role);
+    }
+    
+    return res.status(200).json({ success: true, userId, role, granted: req.method === 'POST' });
+}
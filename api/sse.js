@@ -1,14 +1,26 @@
 // api/sse.js - Upgraded v2.0
-const { Redis } = require('@upstash/redis');
-const redis = Redis.fromEnv();
+const { redis } = require('../lib/storage');
+const { nanoid } = require('nanoid');
+const { requireSession } = require('../lib/session');
+const { getReplayEvents } = require('../lib/events');
+const { getTypingUserIds, getTypingNames } = require('../lib/typing');
+
+// How many delivered event IDs each connection remembers for de-duplication
+const DELIVERED_ID_LIMIT = 1000;
 
 module.exports = async function handler(req, res) {
-    const { userId } = req.query;
-    
-    if (!userId) {
-        return res.status(400).json({ error: 'User ID is required' });
+    if (req.method === 'OPTIONS') {
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+        res.setHeader('Access-Control-Allow-Headers', 'Authorization, Cache-Control, Last-Event-ID');
+        return res.status(200).end();
     }
     
+    const session = await requireSession(req, res);
+    if (!session) return;
+    
+    const { userId, sessionId } = session;
+    
     try {
         // Verify user exists
         const user = await redis.get(`user:${userId}`);
@@ -21,16 +33,20 @@ module.exports = async function handler(req, res) {
         res.setHeader('Cache-Control', 'no-cache, no-transform');
         res.setHeader('Connection', 'keep-alive');
         res.setHeader('Access-Control-Allow-Origin', '*');
-        res.setHeader('Access-Control-Allow-Headers', 'Cache-Control');
+        res.setHeader('Access-Control-Allow-Headers', 'Authorization, Cache-Control, Last-Event-ID');
         res.setHeader('X-Accel-Buffering', 'no'); // Disable nginx buffering
         
         const connectionId = nanoid();
         
-        // Register connection with metadata
+        // Register connection with metadata. The per-user set is what room
+        // and user broadcasts (lib/events.js) fan out to.
         await Promise.all([
             redis.sadd('sse:connections', connectionId),
+            redis.sadd(`user:${userId}:connections`, connectionId),
+            redis.expire(`user:${userId}:connections`, 3600),
             redis.set(`sse:connection:${connectionId}`, {
                 userId,
+                sessionId,
                 connectedAt: Date.now(),
                 lastHeartbeat: Date.now(),
                 userAgent: req.headers['user-agent'] || 'unknown'
@@ -55,51 +71,114 @@ module.exports = async function handler(req, res) {
         
         res.write(`data: ${JSON.stringify(initialEvent)}\n\n`);
         
+        // Events can reach this connection both through the replay log and
+        // the queue, so remember what has been written already.
+        const deliveredIds = new Set();
+        const sendEvent = (event) => {
+            if (event.id !== undefined) {
+                if (deliveredIds.has(event.id)) return;
+                
+                deliveredIds.add(event.id);
+                if (deliveredIds.size > DELIVERED_ID_LIMIT) {
+                    deliveredIds.delete(deliveredIds.values().next().value);
+                }
+            }
+            
+            // Add timestamp if not present
+            if (!event.timestamp) {
+                event.timestamp = new Date().toISOString();
+            }
+            
+            const idLine = event.id !== undefined ? `id: ${event.id}\n` : '';
+            res.write(`${idLine}data: ${JSON.stringify(event)}\n\n`);
+        };
+        
+        // Replay whatever was missed while the client was reconnecting. The
+        // connection is registered above, so nothing falls between the two.
+        const lastEventId = parseInt(req.headers['last-event-id'], 10);
+        if (!isNaN(lastEventId)) {
+            const userForums = await redis.smembers(`user:${userId}:forums`) || [];
+            const channels = ['global', `user:${userId}`, ...userForums.map(forumId => `room:${forumId}`)];
+            const missed = await getReplayEvents(channels, lastEventId);
+            
+            // Revocations from before this connection can't concern it: the
+            // session it authenticated with was still valid when it connected
+            missed
+                .filter(event => event.type !== 'session_revoked')
+                .forEach(sendEvent);
+        }
+        
         // Set up heartbeat (every 30 seconds)
         const heartbeat = setInterval(async () => {
             try {
                 res.write(`: heartbeat ${Date.now()}\n\n`);
                 
+                // Sessions also end by expiring, which sends no event
+                if (!await redis.get(`session:${sessionId}`)) {
+                    await endStream();
+                    return;
+                }
+                
                 // Update connection heartbeat timestamp
-                await redis.hset(`sse:connection:${connectionId}`, 'lastHeartbeat', Date.now());
+                const connection = await redis.get(`sse:connection:${connectionId}`);
+                if (connection) {
+                    await redis.set(`sse:connection:${connectionId}`, { ...connection, lastHeartbeat: Date.now() }, { ex: 3600 });
+                }
             } catch (error) {
                 console.error('Heartbeat error:', error);
                 clearInterval(heartbeat);
             }
         }, 30000);
         
+        // Last typing state pushed to this connection, per forum
+        const typingState = new Map();
+        
         // Check for queued messages (every 100ms for real-time feel)
+        let checking = false;
         const messageCheck = setInterval(async () => {
+            if (checking) return;
+            checking = true;
+            
             try {
-                // Get messages from queue
-                const messages = await redis.lrange(`sse:queue:${connectionId}`, 0, -1);
+                // Get messages from queue (newest first, since events are LPUSHed)
+                const queueKey = `sse:queue:${connectionId}`;
+                const messages = await redis.lrange(queueKey, 0, -1);
                 
                 if (messages && messages.length > 0) {
-                    // Send each message
+                    // Drop only what was read; anything pushed meanwhile stays at the head
+                    await redis.ltrim(queueKey, 0, -(messages.length + 1));
+                    
+                    const events = [];
                     for (const message of messages) {
                         try {
-                            const parsedMessage = JSON.parse(message);
-                            
-                            // Add timestamp if not present
-                            if (!parsedMessage.timestamp) {
-                                parsedMessage.timestamp = new Date().toISOString();
-                            }
-                            
-                            res.write(`data: ${JSON.stringify(parsedMessage)}\n\n`);
+                            // Storage may hand back already-deserialized JSON
+                            events.push(typeof message === 'string' ? JSON.parse(message) : message);
                         } catch (parseError) {
                             console.error('Failed to parse message:', parseError);
                         }
                     }
                     
-                    // Clear processed messages
-                    await redis.del(`sse:queue:${connectionId}`);
+                    events
+                        .sort((a, b) => (a.id || 0) - (b.id || 0))
+                        .forEach(sendEvent);
+                    
+                    // Revoking this session closes the stream right after
+                    // the client has been told why
+                    const revoked = events.some(event =>
+                        event.type === 'session_revoked' && (event.all || event.sessionId === sessionId));
+                    if (revoked) {
+                        await endStream();
+                        return;
+                    }
                 }
                 
                 // Also check for any typing indicators for forums user is in
-                await sendTypingUpdates(res, userId, connectionId);
+                await sendTypingUpdates(res, userId, typingState);
                 
             } catch (error) {
                 console.error('SSE message check error:', error);
+            } finally {
+                checking = false;
             }
         }, 100);
         
@@ -119,6 +198,11 @@ module.exports = async function handler(req, res) {
             await cleanupConnection(connectionId, userId);
         };
         
+        const endStream = async () => {
+            await cleanup();
+            res.end();
+        };
+        
         req.on('close', cleanup);
         req.on('error', (error) => {
             console.error('SSE connection error:', error);
@@ -138,37 +222,31 @@ module.exports = async function handler(req, res) {
     }
 }
 
-async function sendTypingUpdates(res, userId, connectionId) {
+// Pushes a typing_update for each of the user's forums whose set of typing
+// users differs from what this connection last saw
+async function sendTypingUpdates(res, userId, typingState) {
     try {
         // Get forums user is participating in
         const userForums = await redis.smembers(`user:${userId}:forums`) || [];
         
         for (const forumId of userForums) {
-            // Get all typing users in this forum
-            const typingKeys = await redis.keys(`typing:${forumId}:*`);
-            const typingUsers = {};
+            // Don't send own typing status
+            const typingUserIds = (await getTypingUserIds(forumId)).filter(id => id !== userId);
+            const signature = typingUserIds.join(',');
             
-            for (const key of typingKeys) {
-                const typingUserId = key.split(':')[2];
-                if (typingUserId !== userId) { // Don't send own typing status
-                    const userName = await redis.get(key);
-                    if (userName) {
-                        typingUsers[typingUserId] = userName;
-                    }
-                }
+            if (signature === (typingState.get(forumId) || '')) {
+                continue;
             }
+            typingState.set(forumId, signature);
             
-            // Send typing update if there are typing users
-            if (Object.keys(typingUsers).length > 0) {
-                const typingEvent = {
-                    type: 'typing_update',
-                    roomId: forumId,
-                    typingUsers,
-                    timestamp: new Date().toISOString()
-                };
-                
-                res.write(`data: ${JSON.stringify(typingEvent)}\n\n`);
-            }
+            const typingEvent = {
+                type: 'typing_update',
+                roomId: forumId,
+                typingUsers: await getTypingNames(forumId, typingUserIds),
+                timestamp: new Date().toISOString()
+            };
+            
+            res.write(`data: ${JSON.stringify(typingEvent)}\n\n`);
         }
     } catch (error) {
         console.error('Typing updates error:', error);
@@ -180,28 +258,13 @@ async function cleanupConnection(connectionId, userId) {
         // Remove connection from active connections
         await Promise.all([
             redis.srem('sse:connections', connectionId),
+            redis.srem(`user:${userId}:connections`, connectionId),
             redis.del(`sse:connection:${connectionId}`),
             redis.del(`sse:queue:${connectionId}`)
         ]);
         
         // Check if user has other active connections
-        const allConnections = await redis.smembers('sse:connections');
-        let hasOtherConnections = false;
-        
-        for (const connId of allConnections) {
-            try {
-                const connData = await redis.get(`sse:connection:${connId}`);
-                if (connData && connData.userId === userId) {
-                    hasOtherConnections = true;
-                    break;
-                }
-            } catch (error) {
-                console.error(`Error checking connection ${connId}:`, error);
-                // Remove invalid connection
-                await redis.srem('sse:connections', connId);
-                await redis.del(`sse:connection:${connId}`);
-            }
-        }
+        const hasOtherConnections = (await redis.scard(`user:${userId}:connections`) || 0) > 0;
         
         // If no other connections, mark user as offline
         if (!hasOtherConnections) {
@@ -224,19 +287,3 @@ async function cleanupConnection(connectionId, userId) {
     }
 }
 
-// Utility function to broadcast to specific user
-export async function broadcastToUser(userId, event) {
-    try {
-        const connections = await redis.smembers('sse:connections');
-        
-        for (const connId of connections) {
-            const connData = await redis.get(`sse:connection:${connId}`);
-            if (connData && connData.userId === userId) {
-                await redis.lpush(`sse:queue:${connId}`, JSON.stringify(event));
-                await redis.expire(`sse:queue:${connId}`, 1800); // 30 minutes
-            }
-        }
-    } catch (error) {
-        console.error('Broadcast to user error:', error);
-    }
-}
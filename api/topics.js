@@ -0,0 +1,193 @@
+// api/topics.js - The topic catalog: anyone can read it, admins curate it
+const { redis } = require('../lib/storage');
+const { requireSession } = require('../lib/session');
+const { requirePermission } = require('../lib/permissions');
+const { broadcastGlobal } = require('../lib/events');
+const { listTopics, getTopic, createTopic, updateTopic, deleteTopic } = require('../lib/topics');
+
+const MAX_NAME_LENGTH = 40;
+const MAX_SLUG_LENGTH = 50;
+const MAX_DESCRIPTION_LENGTH = 200;
+
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const ICON_PATTERN = /^fa[srb] fa-[a-z0-9-]+$/;
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+module.exports = async function handler(req, res) {
+    // CORS headers
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+    
+    try {
+        if (req.method === 'GET') {
+            return res.status(200).json({ topics: await listTopics() });
+        }
+        
+        const session = await requireSession(req, res);
+        if (!session) return;
+        
+        if (!await requirePermission(res, session.userId, 'topics.manage', {}, 'Only admins can manage topics')) {
+            return;
+        }
+        
+        // /api/topics/{slug}
+        const url = new URL(req.url, `http://${req.headers.host}`);
+        const slug = url.pathname.split('/').filter(Boolean)[2];
+        
+        if (req.method === 'POST' && !slug) {
+            return await handleCreateTopic(req, res);
+        }
+        
+        if (req.method === 'PUT' && slug) {
+            return await handleUpdateTopic(req, res, slug);
+        }
+        
+        if (req.method === 'DELETE' && slug) {
+            return await handleDeleteTopic(req, res, slug);
+        }
+        
+        return res.status(405).json({ error: 'Method not allowed' });
+    } catch (error) {
+        console.error('Topics error:', error);
+        return res.status(500).json({
+            error: 'Internal server error',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+}
+
+async function handleCreateTopic(req, res) {
+    const body = req.body || {};
+    
+    if (typeof body.name !== 'string' || !body.name.trim()) {
+        return res.status(400).json({ error: 'Topic name is required' });
+    }
+    
+    const slug = body.slug === undefined ? slugify(body.name) : body.slug;
+    if (typeof slug !== 'string' || !SLUG_PATTERN.test(slug) || slug.length > MAX_SLUG_LENGTH) {
+        return res.status(400).json({ error: 'Slug must be lowercase letters, numbers and dashes' });
+    }
+    
+    const { error, fields } = readTopicFields({ icon: 'fas fa-hashtag', color: '#6b7280', description: '', ...body });
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    
+    const topic = await createTopic({ slug, ...fields });
+    if (!topic) {
+        return res.status(409).json({ error: 'A topic with this slug already exists' });
+    }
+    
+    await broadcastTopics();
+    
+    return res.status(201).json(topic);
+}
+
+// Slugs are what forums and interests store, so they never change
+async function handleUpdateTopic(req, res, slug) {
+    const topic = await getTopic(slug);
+    if (!topic) {
+        return res.status(404).json({ error: 'Topic not found' });
+    }
+    
+    const { error, fields } = readTopicFields(req.body || {});
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    
+    if (Object.keys(fields).length === 0) {
+        return res.status(400).json({ error: 'No changes provided' });
+    }
+    
+    const updated = await updateTopic(topic, fields);
+    await broadcastTopics();
+    
+    return res.status(200).json(updated);
+}
+
+// Topics still in use can't go, their forums would be left without one
+async function handleDeleteTopic(req, res, slug) {
+    const topic = await getTopic(slug);
+    if (!topic) {
+        return res.status(404).json({ error: 'Topic not found' });
+    }
+    
+    const forumIds = await redis.smembers('forums') || [];
+    const forums = await Promise.all(forumIds.map(id => redis.get(`forum:${id}`)));
+    const inUse = forums.filter(forum => forum && forum.topic === slug).length;
+    
+    if (inUse > 0) {
+        return res.status(409).json({ error: `This topic is still used by ${inUse} forum${inUse === 1 ? '' : 's'}` });
+    }
+    
+    await deleteTopic(slug);
+    await broadcastTopics();
+    
+    return res.status(200).json({ success: true });
+}
+
+// Validates whichever of name, icon, color, description and position are
+// present. Resolves to { error } or { fields } with the cleaned values.
+function readTopicFields({ name, icon, color, description, position }) {
+    const fields = {};
+    
+    if (name !== undefined) {
+        if (typeof name !== 'string' || !name.trim() || name.trim().length > MAX_NAME_LENGTH) {
+            return { error: `Topic name must be 1 to ${MAX_NAME_LENGTH} characters` };
+        }
+        fields.name = name.trim();
+    }
+    
+    if (icon !== undefined) {
+        if (typeof icon !== 'string' || !ICON_PATTERN.test(icon)) {
+            return { error: 'Icon must be a Font Awesome class such as "fas fa-music"' };
+        }
+        fields.icon = icon;
+    }
+    
+    if (color !== undefined) {
+        if (typeof color !== 'string' || !COLOR_PATTERN.test(color)) {
+            return { error: 'Color must be a hex color such as "#8b5cf6"' };
+        }
+        fields.color = color.toLowerCase();
+    }
+    
+    if (description !== undefined) {
+        if (typeof description !== 'string' || description.trim().length > MAX_DESCRIPTION_LENGTH) {
+            return { error: `Description must be at most ${MAX_DESCRIPTION_LENGTH} characters` };
+        }
+        fields.description = description.trim();
+    }
+    
+    if (position !== undefined) {
+        if (!Number.isInteger(position) || position < 0) {
+            return { error: 'Position must be a whole number of 0 or more' };
+        }
+        fields.position = position;
+    }
+    
+    return { fields };
+}
+
+function slugify(name) {
+    return name
+        .toLowerCase()
+        .replace(/&/g, ' and ')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .substring(0, MAX_SLUG_LENGTH)
+        .replace(/-+$/, '');
+}
+
+// Open clients re-render their filters and pickers from this
+async function broadcastTopics() {
+    await broadcastGlobal({
+        type: 'topics_updated',
+        topics: await listTopics()
+    });
+}
@@ -0,0 +1,107 @@
+// api/users.js - Public user profiles
+const { redis } = require('../lib/storage');
+const { searchNames } = require('../lib/names');
+const { getVisibility } = require('../lib/forums');
+
+module.exports = async function handler(req, res) {
+    // CORS headers
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+    
+    try {
+        if (req.method === 'GET') {
+            // Profile: /api/users/{userId}, people search: /api/users?search=
+            const url = new URL(req.url, `http://${req.headers.host}`);
+            const userId = url.pathname.split('/').filter(Boolean)[2];
+            
+            if (userId) {
+                return await handleGetProfile(req, res, userId);
+            }
+            
+            if (req.query.search) {
+                return await handleSearchUsers(req, res);
+            }
+            
+            return res.status(400).json({ error: 'User ID or search term is required' });
+        }
+        
+        return res.status(405).json({ error: 'Method not allowed' });
+    } catch (error) {
+        console.error('Users error:', error);
+        return res.status(500).json({ 
+            error: 'Internal server error',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+}
+
+async function handleGetProfile(req, res, userId) {
+    const user = await redis.get(`user:${userId}`);
+    if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+    }
+    
+    // user:{id}:hosted may still list forums that have since gone away. Only
+    // public forums show on a profile.
+    const hostedIds = await redis.smembers(`user:${userId}:hosted`) || [];
+    const hostedForums = (await Promise.all(hostedIds.map(id => redis.get(`forum:${id}`))))
+        .filter(forum => forum && getVisibility(forum) === 'public');
+    
+    const forumsHosted = await Promise.all(hostedForums.map(async (forum) => ({
+        id: forum.id,
+        title: forum.title,
+        topic: forum.topic,
+        createdAt: forum.createdAt,
+        participants: await redis.scard(`forum:${forum.id}:participants`) || 0
+    })));
+    
+    forumsHosted.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    
+    return res.status(200).json(toPublicProfile(user, forumsHosted));
+}
+
+// Display-name prefix search over the name index
+async function handleSearchUsers(req, res) {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 25);
+    const userIds = await searchNames(String(req.query.search), limit);
+    
+    const users = userIds.length > 0 ? await redis.mget(...userIds.map(id => `user:${id}`)) || [] : [];
+    
+    return res.status(200).json({
+        users: users
+            .filter(Boolean)
+            .map(user => ({ id: user.id, displayName: user.displayName }))
+    });
+}
+
+// Built field by field so private data (preferences, sessions, joined
+// forums) can never leak through a new property on the user object
+function toPublicProfile(user, forumsHosted) {
+    const profile = user.profile || {};
+    
+    return {
+        id: user.id,
+        displayName: user.displayName,
+        aboutMe: user.aboutMe || '',
+        interests: user.interests || [],
+        joinedAt: user.joinedAt,
+        isOnline: Boolean(user.isOnline),
+        profile: {
+            avatar: profile.avatar || null,
+            banner: profile.banner || null,
+            location: profile.location || null,
+            website: profile.website || null
+        },
+        stats: {
+            messages: user.messageCount || 0,
+            forumsHosted: forumsHosted.length,
+            reputation: (user.stats && user.stats.reputation) || 0
+        },
+        forumsHosted
+    };
+}
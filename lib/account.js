@@ -0,0 +1,197 @@
+// lib/account.js - Personal data export and account deletion
+//
+// Deletion always removes the profile, name claim, sessions, memberships,
+// reactions and notifications. What happens to the user's messages depends on
+// the mode: "anonymize" keeps them (threads stay readable) with the author
+// replaced by DELETED_USER_NAME, "purge" deletes them like the author would
+// one by one. ACCOUNT_DELETION_MODE sets the default.
+const { redis } = require('./storage');
+const { broadcastToRoom } = require('./events');
+const { revokeAllSessions, listSessions } = require('./session');
+const { releaseName } = require('./names');
+const { listNotifications, clearNotifications } = require('./notifications');
+const { removeMessage, getUserMessages } = require('./messages');
+
+const DELETION_MODES = ['anonymize', 'purge'];
+const DEFAULT_DELETION_MODE = DELETION_MODES.includes(process.env.ACCOUNT_DELETION_MODE)
+    ? process.env.ACCOUNT_DELETION_MODE
+    : 'anonymize';
+
+const DELETED_USER_NAME = 'Deleted user';
+
+// Every forum the user has a footprint in: joined now, joined before, or hosted
+async function getAccountForumIds(userId, user) {
+    const [joined, hosted] = await Promise.all([
+        redis.smembers(`user:${userId}:forums`),
+        redis.smembers(`user:${userId}:hosted`)
+    ]);
+
+    return [...new Set([...(joined || []), ...(hosted || []), ...(user.discussionsJoined || [])])];
+}
+
+async function getForums(forumIds) {
+    const forums = await Promise.all(forumIds.map(id => redis.get(`forum:${id}`)));
+    return forums.filter(Boolean);
+}
+
+// { forumId: [{ messageId, emoji }] } for the user's reactions
+async function getUserReactions(userId, forumIds) {
+    const reactions = {};
+
+    for (const forumId of forumIds) {
+        const entries = await redis.smembers(`user:${userId}:reactions:${forumId}`) || [];
+        if (entries.length > 0) {
+            reactions[forumId] = entries.map(entry => {
+                const [messageId, emoji] = String(entry).split('|');
+                return { messageId, emoji };
+            });
+        }
+    }
+
+    return reactions;
+}
+
+// Everything stored about the user, or null when there is no such user.
+// Recovery code hashes are left out, they are of no use to anyone.
+async function exportAccount(userId) {
+    const user = await redis.get(`user:${userId}`);
+    if (!user) {
+        return null;
+    }
+
+    const forumIds = await getAccountForumIds(userId, user);
+    const [joinedIds, hostedIds] = await Promise.all([
+        redis.smembers(`user:${userId}:forums`),
+        redis.smembers(`user:${userId}:hosted`)
+    ]);
+
+    const [forumsCreated, forumsJoined, messages, reactions, notifications, sessions] = await Promise.all([
+        getForums(hostedIds || []),
+        getForums(joinedIds || []),
+        getUserMessages(userId, forumIds),
+        getUserReactions(userId, forumIds),
+        listNotifications(userId, 100),
+        listSessions(userId)
+    ]);
+
+    return {
+        exportedAt: new Date().toISOString(),
+        profile: user,
+        forumsCreated,
+        forumsJoined,
+        messages,
+        reactions,
+        notifications,
+        sessions
+    };
+}
+
+// Takes the user's reactions back off the messages they reacted to
+async function removeReactions(userId, reactions) {
+    for (const [forumId, entries] of Object.entries(reactions)) {
+        for (const { messageId, emoji } of entries) {
+            const reactorsKey = `message:${messageId}:reactions:${emoji}`;
+            await redis.srem(reactorsKey, userId);
+
+            const message = await redis.get(`message:${messageId}`);
+            if (message) {
+                const count = await redis.scard(reactorsKey) || 0;
+                const messageReactions = { ...(message.reactions || {}) };
+                if (count > 0) {
+                    messageReactions[emoji] = count;
+                } else {
+                    delete messageReactions[emoji];
+                }
+                await redis.set(`message:${messageId}`, { ...message, reactions: messageReactions });
+            }
+        }
+
+        await redis.del(`user:${userId}:reactions:${forumId}`);
+    }
+}
+
+// Resolves to null when there is no such user, otherwise to a summary of
+// what was done
+async function deleteAccount(userId, mode = DEFAULT_DELETION_MODE) {
+    const user = await redis.get(`user:${userId}`);
+    if (!user) {
+        return null;
+    }
+
+    // Sign every device out first so nothing new is written meanwhile
+    await revokeAllSessions(userId);
+
+    const forumIds = await getAccountForumIds(userId, user);
+    const [messages, reactions, joinedIds, hostedIds] = await Promise.all([
+        getUserMessages(userId, forumIds),
+        getUserReactions(userId, forumIds),
+        redis.smembers(`user:${userId}:forums`),
+        redis.smembers(`user:${userId}:hosted`)
+    ]);
+
+    await removeReactions(userId, reactions);
+
+    for (const message of messages) {
+        if (mode === 'purge') {
+            const replyCount = await removeMessage(message);
+            await broadcastToRoom(message.forumId, {
+                type: 'message_deleted',
+                roomId: message.forumId,
+                messageId: message.id,
+                parentId: message.parentId || null,
+                ...(replyCount !== undefined && { replyCount })
+            });
+        } else {
+            await redis.set(`message:${message.id}`, { ...message, userId: null, userName: DELETED_USER_NAME });
+        }
+    }
+
+    // Hosted forums stay up for their other participants
+    const hostedForums = await getForums(hostedIds || []);
+    await Promise.all(hostedForums.map(forum =>
+        redis.set(`forum:${forum.id}`, { ...forum, host: DELETED_USER_NAME, hostId: null })
+    ));
+
+    for (const forumId of joinedIds || []) {
+        await redis.srem(`forum:${forumId}:participants`, userId);
+        await broadcastToRoom(forumId, {
+            type: 'user_left',
+            roomId: forumId,
+            userId,
+            userName: user.displayName,
+            participants: await redis.scard(`forum:${forumId}:participants`) || 0
+        });
+    }
+
+    await Promise.all([
+        releaseName(user.displayName, userId),
+        clearNotifications(userId),
+        ...(user.interests || []).map(topic => redis.srem(`topic:${topic}:followers`, userId)),
+        ...forumIds.map(forumId => redis.srem(`forum:${forumId}:cohosts`, userId)),
+        ...forumIds.map(forumId => redis.srem(`forum:${forumId}:members`, userId)),
+        ...forumIds.map(forumId => redis.hdel(`forum:${forumId}:rulesAcknowledged`, userId)),
+        redis.srem('users', userId),
+        redis.srem('activeUsers', userId),
+        redis.srem('roles:admin', userId),
+        redis.srem('roles:moderator', userId),
+        redis.del(
+            `user:${userId}`,
+            `user:${userId}:forums`,
+            `user:${userId}:hosted`,
+            `user:${userId}:messages`,
+            `user:${userId}:messagesIndexed`,
+            `user:${userId}:recoveryCodes`,
+            `user:${userId}:lastMessage`
+        )
+    ]);
+
+    return { mode, messages: messages.length };
+}
+
+module.exports = {
+    DELETION_MODES,
+    DEFAULT_DELETION_MODE,
+    DELETED_USER_NAME,
+    exportAccount,
+    deleteAccount
+};
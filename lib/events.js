@@ -0,0 +1,109 @@
+// lib/events.js - Server-sent event fan-out
+//
+// Each SSE connection (api/sse.js) drains its own sse:queue:{connectionId}
+// list. Events are only queued for the connections that should see them:
+// room events go to the connections of that forum's participants, user events
+// to that user's connections, and global events to every connection.
+//
+// Every event gets a monotonically increasing `id` and is also appended to a
+// short replay log for its channel (global, room:{id} or user:{id}), so a
+// reconnecting client can catch up from its Last-Event-ID.
+const { redis } = require('./storage');
+
+// Queued events expire if the connection never drains them (30 minutes)
+const QUEUE_TTL_SECONDS = 1800;
+
+// Replay log: last 200 events per channel, kept for 10 minutes
+const REPLAY_LOG_SIZE = 200;
+const REPLAY_LOG_TTL_SECONDS = 600;
+
+async function recordEvent(channel, event) {
+    const eventWithId = { ...event, id: await redis.incr('sse:event:seq') };
+    const logKey = `sse:log:${channel}`;
+
+    try {
+        await redis.zadd(logKey, { score: eventWithId.id, member: JSON.stringify(eventWithId) });
+        await redis.zremrangebyrank(logKey, 0, -(REPLAY_LOG_SIZE + 1));
+        await redis.expire(logKey, REPLAY_LOG_TTL_SECONDS);
+    } catch (error) {
+        console.error(`Failed to record event in ${logKey}:`, error);
+    }
+
+    return eventWithId;
+}
+
+// Events on the given channels with an id greater than lastEventId, oldest first
+async function getReplayEvents(channels, lastEventId) {
+    const logs = await Promise.all(channels.map(channel =>
+        redis.zrange(`sse:log:${channel}`, `(${lastEventId}`, '+inf', { byScore: true })
+    ));
+
+    return logs
+        .flat()
+        .map(entry => typeof entry === 'string' ? JSON.parse(entry) : entry)
+        .sort((a, b) => a.id - b.id);
+}
+
+async function queueForConnections(connectionIds, event) {
+    if (connectionIds.length === 0) {
+        return;
+    }
+
+    const payload = JSON.stringify(event);
+
+    const promises = connectionIds.map(async (connId) => {
+        try {
+            await redis.lpush(`sse:queue:${connId}`, payload);
+            await redis.expire(`sse:queue:${connId}`, QUEUE_TTL_SECONDS);
+        } catch (error) {
+            console.error(`Failed to queue event for connection ${connId}:`, error);
+        }
+    });
+
+    await Promise.allSettled(promises);
+}
+
+async function getUserConnections(userId) {
+    return await redis.smembers(`user:${userId}:connections`) || [];
+}
+
+// Events for a single user on every device they are connected from
+async function broadcastToUser(userId, event) {
+    try {
+        const recorded = await recordEvent(`user:${userId}`, event);
+        await queueForConnections(await getUserConnections(userId), recorded);
+    } catch (error) {
+        console.error('Broadcast to user error:', error);
+    }
+}
+
+// Events scoped to a forum: messages, typing, joins and leaves
+async function broadcastToRoom(roomId, event) {
+    try {
+        const recorded = await recordEvent(`room:${roomId}`, event);
+        const members = await redis.smembers(`forum:${roomId}:participants`) || [];
+        const connections = await Promise.all(members.map(getUserConnections));
+
+        await queueForConnections(connections.flat(), recorded);
+    } catch (error) {
+        console.error('Broadcast to room error:', error);
+    }
+}
+
+// Events every connected client should see, e.g. forum_created
+async function broadcastGlobal(event) {
+    try {
+        const recorded = await recordEvent('global', event);
+        const connections = await redis.smembers('sse:connections') || [];
+        await queueForConnections(connections, recorded);
+    } catch (error) {
+        console.error('Global broadcast error:', error);
+    }
+}
+
+module.exports = {
+    getReplayEvents,
+    broadcastToUser,
+    broadcastToRoom,
+    broadcastGlobal
+};
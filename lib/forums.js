@@ -0,0 +1,140 @@
+// lib/forums.js - Forum lifecycle helpers
+//
+// A forum is forum:{id} plus the keys hanging off it: the message timeline
+// (forum:{id}:timeline with its sequence and removedScores), participants and
+// co-hosts sets, typing state and the SSE replay log for the room. Users
+// point back at it through user:{id}:forums, user:{id}:hosted, the
+// discussionsJoined list on their record and their per-forum reaction sets.
+//
+// forum.visibility is public (listed, open to all), unlisted (open to anyone
+// with the link) or private (members only, joined through an invite). Forums
+// created before visibility existed are public. forum:{id}:members remembers
+// who belongs to a non-public forum even after they leave the room.
+//
+// forum.rules is a list of room rules. forum:{id}:rulesAcknowledged maps the
+// users who accepted the current rules to when they did; changing the rules
+// clears it so everyone accepts the new ones.
+const { redis } = require('./storage');
+const { removeMessage, getTimelineIds } = require('./messages');
+const { can } = require('./permissions');
+const { deleteForumInvites } = require('./invites');
+const { removeTrending } = require('./trending');
+
+const FORUM_VISIBILITIES = ['public', 'unlisted', 'private'];
+
+function getVisibility(forum) {
+    return forum.visibility || 'public';
+}
+
+async function isMember(userId, forum) {
+    if (!userId) {
+        return false;
+    }
+    return forum.hostId === userId || await redis.sismember(`forum:${forum.id}:members`, userId);
+}
+
+// Private forums are readable by members and by whoever may manage them
+async function canViewForum(userId, forum) {
+    if (getVisibility(forum) !== 'private') {
+        return true;
+    }
+    return await isMember(userId, forum) || await can(userId, 'forum.manage', { forum });
+}
+
+// Forums without rules need no acknowledgement
+async function hasAcknowledgedRules(userId, forum) {
+    if (!forum.rules || forum.rules.length === 0) {
+        return true;
+    }
+    return Boolean(await redis.hget(`forum:${forum.id}:rulesAcknowledged`, userId));
+}
+
+async function acknowledgeRules(userId, forum) {
+    const acknowledgedAt = new Date().toISOString();
+    await redis.hset(`forum:${forum.id}:rulesAcknowledged`, { [userId]: acknowledgedAt });
+    return acknowledgedAt;
+}
+
+async function resetRuleAcknowledgements(forum) {
+    await redis.del(`forum:${forum.id}:rulesAcknowledged`);
+}
+
+// Removes the forum and everything that references it. Messages go through
+// removeMessage so threads, reactions and authors' message indexes go too.
+async function deleteForum(forum) {
+    const forumId = forum.id;
+
+    const [messageIds, participantIds] = await Promise.all([
+        getTimelineIds(forumId),
+        redis.smembers(`forum:${forumId}:participants`)
+    ]);
+
+    const messages = (await Promise.all((messageIds || []).map(id => redis.get(`message:${id}`)))).filter(Boolean);
+
+    // Whoever reacted has a user:{id}:reactions:{forumId} set, even if they
+    // have left the forum since. Collect them before the reactions go.
+    const reactorIds = new Set(participantIds || []);
+    for (const message of messages) {
+        const replyIds = await redis.lrange(`message:${message.id}:replies`, 0, -1) || [];
+        const replies = (await Promise.all(replyIds.map(id => redis.get(`message:${id}`)))).filter(Boolean);
+
+        for (const { id, reactions } of [message, ...replies]) {
+            for (const emoji of Object.keys(reactions || {})) {
+                const reactors = await redis.smembers(`message:${id}:reactions:${emoji}`) || [];
+                reactors.forEach(userId => reactorIds.add(userId));
+            }
+        }
+    }
+
+    for (const message of messages) {
+        await removeMessage(message);
+    }
+
+    // Drop the forum from its participants' records
+    await Promise.all((participantIds || []).map(async (userId) => {
+        await redis.srem(`user:${userId}:forums`, forumId);
+
+        const user = await redis.get(`user:${userId}`);
+        if (user && (user.discussionsJoined || []).includes(forumId)) {
+            await redis.set(`user:${userId}`, {
+                ...user,
+                discussionsJoined: user.discussionsJoined.filter(id => id !== forumId)
+            });
+        }
+    }));
+
+    await Promise.all([
+        deleteForumInvites(forumId),
+        removeTrending(forumId),
+        redis.srem('forums', forumId),
+        forum.hostId ? redis.srem(`user:${forum.hostId}:hosted`, forumId) : null,
+        ...[...reactorIds].map(userId => redis.del(`user:${userId}:reactions:${forumId}`)),
+        redis.del(
+            `forum:${forumId}`,
+            `forum:${forumId}:messages`,
+            `forum:${forumId}:timeline`,
+            `forum:${forumId}:sequence`,
+            `forum:${forumId}:removedScores`,
+            `forum:${forumId}:participants`,
+            `forum:${forumId}:cohosts`,
+            `forum:${forumId}:members`,
+            `forum:${forumId}:rulesAcknowledged`,
+            `forum:${forumId}:typing`,
+            `forum:${forumId}:typing:names`,
+            `sse:log:room:${forumId}`
+        )
+    ]);
+
+    return { messages: messages.length, participants: (participantIds || []).length };
+}
+
+module.exports = {
+    FORUM_VISIBILITIES,
+    getVisibility,
+    isMember,
+    canViewForum,
+    hasAcknowledgedRules,
+    acknowledgeRules,
+    resetRuleAcknowledgements,
+    deleteForum
+};
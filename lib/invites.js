@@ -0,0 +1,111 @@
+// lib/invites.js - Invite links for private forums
+//
+// invite:{token} holds { token, forumId, createdBy, createdAt, expiresAt,
+// maxUses } and expires with the invite. invite:{token}:uses counts
+// redemptions with INCR, so concurrent joins can't go past maxUses.
+// forum:{id}:invites lists the forum's tokens for management and cleanup.
+const crypto = require('crypto');
+const { redis } = require('./storage');
+
+const DEFAULT_INVITE_HOURS = 24;
+const MAX_INVITE_HOURS = 720;
+const DEFAULT_INVITE_USES = 10;
+const MAX_INVITE_USES = 100;
+
+function clamp(value, fallback, max) {
+    const number = parseInt(value, 10);
+    if (Number.isNaN(number)) {
+        return fallback;
+    }
+    return Math.min(Math.max(number, 1), max);
+}
+
+async function createInvite(forumId, createdBy, { expiresInHours, maxUses } = {}) {
+    const hours = clamp(expiresInHours, DEFAULT_INVITE_HOURS, MAX_INVITE_HOURS);
+    const ttl = hours * 60 * 60;
+    const token = crypto.randomBytes(18).toString('base64url');
+    const now = Date.now();
+
+    const invite = {
+        token,
+        forumId,
+        createdBy,
+        createdAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + ttl * 1000).toISOString(),
+        maxUses: clamp(maxUses, DEFAULT_INVITE_USES, MAX_INVITE_USES)
+    };
+
+    await Promise.all([
+        redis.set(`invite:${token}`, invite, { ex: ttl }),
+        redis.set(`invite:${token}:uses`, 0, { ex: ttl }),
+        redis.sadd(`forum:${forumId}:invites`, token)
+    ]);
+
+    return { ...invite, uses: 0 };
+}
+
+// The forum's live invites with their use counts. Tokens whose invite has
+// expired are dropped from the set on the way.
+async function listInvites(forumId) {
+    const tokens = await redis.smembers(`forum:${forumId}:invites`) || [];
+    const invites = [];
+
+    for (const token of tokens) {
+        const invite = await redis.get(`invite:${token}`);
+        if (!invite) {
+            await redis.srem(`forum:${forumId}:invites`, token);
+            continue;
+        }
+
+        const uses = Number(await redis.get(`invite:${token}:uses`)) || 0;
+        invites.push({ ...invite, uses });
+    }
+
+    return invites.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
+
+// Resolves to false when the token isn't one of the forum's invites
+async function revokeInvite(forumId, token) {
+    if (!await redis.srem(`forum:${forumId}:invites`, token)) {
+        return false;
+    }
+
+    await redis.del(`invite:${token}`, `invite:${token}:uses`);
+    return true;
+}
+
+// Uses up one redemption of the invite. Resolves to false when the token is
+// unknown, expired, for another forum or already used maxUses times.
+async function redeemInvite(forumId, token) {
+    if (!token || typeof token !== 'string') {
+        return false;
+    }
+
+    const invite = await redis.get(`invite:${token}`);
+    if (!invite || invite.forumId !== forumId || new Date(invite.expiresAt) <= new Date()) {
+        return false;
+    }
+
+    const uses = await redis.incr(`invite:${token}:uses`);
+    return uses <= invite.maxUses;
+}
+
+async function deleteForumInvites(forumId) {
+    const tokens = await redis.smembers(`forum:${forumId}:invites`) || [];
+    await redis.del(
+        `forum:${forumId}:invites`,
+        ...tokens.flatMap(token => [`invite:${token}`, `invite:${token}:uses`])
+    );
+}
+
+module.exports = {
+    DEFAULT_INVITE_HOURS,
+    MAX_INVITE_HOURS,
+    DEFAULT_INVITE_USES,
+    MAX_INVITE_USES,
+    createInvite,
+    listInvites,
+    revokeInvite,
+    redeemInvite,
+    deleteForumInvites
+};
@@ -0,0 +1,68 @@
+// lib/mentions.js - @displayName mentions in message text
+//
+// Display names may contain spaces, so the text after each @ is turned into
+// candidate names ending at every word boundary ("@Ann Lee, hi" gives "Ann",
+// "Ann Lee" and "Ann Lee, hi") and all of them are checked against the name
+// index in one read. The longest candidate that names a user wins.
+const { redis } = require('./storage');
+const { normalizeName } = require('./names');
+
+// Display names are at most 50 characters
+const MAX_NAME_LENGTH = 50;
+
+function isWordChar(char) {
+    return Boolean(char) && /[\p{L}\p{N}_]/u.test(char);
+}
+
+// Candidate names for the @ at `index`, longest first
+function candidatesAt(text, index) {
+    const rest = text.slice(index + 1, index + 1 + MAX_NAME_LENGTH);
+    const candidates = [];
+
+    for (let end = 1; end <= rest.length; end++) {
+        if (isWordChar(rest[end - 1]) && !isWordChar(rest[end])) {
+            candidates.push(rest.slice(0, end));
+        }
+    }
+
+    return candidates.reverse();
+}
+
+// IDs of the users mentioned in the text, never the author
+async function resolveMentions(text, authorId) {
+    const mentions = [];
+
+    for (let index = text.indexOf('@'); index !== -1; index = text.indexOf('@', index + 1)) {
+        if (!isWordChar(text[index - 1])) {
+            mentions.push(candidatesAt(text, index));
+        }
+    }
+
+    const keys = [...new Set(mentions.flat().map(name => `user:name:${normalizeName(name)}`))];
+    if (keys.length === 0) {
+        return [];
+    }
+
+    const owners = await redis.mget(...keys) || [];
+    const ownerByKey = new Map(keys.map((key, i) => [key, owners[i] ? String(owners[i]) : null]));
+
+    const userIds = new Set();
+    for (const candidates of mentions) {
+        const match = candidates
+            .map(name => ownerByKey.get(`user:name:${normalizeName(name)}`))
+            .find(Boolean);
+
+        if (match && match !== authorId) {
+            userIds.add(match);
+        }
+    }
+
+    // A claim can outlive an expired account
+    const ids = [...userIds];
+    const users = ids.length > 0 ? await redis.mget(...ids.map(id => `user:${id}`)) || [] : [];
+    return ids.filter((id, i) => users[i]);
+}
+
+module.exports = {
+    resolveMentions
+};
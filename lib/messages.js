@@ -0,0 +1,189 @@
+// lib/messages.js - Message storage shared by the API handlers
+//
+// message:{id} holds the message itself, forum:{id}:timeline is the forum's
+// top-level timeline and message:{id}:replies a thread's replies (oldest
+// first). user:{id}:messages indexes everything a user wrote, so their
+// messages can be found without walking every forum.
+//
+// The timeline is a sorted set scored by forum:{id}:sequence, which only ever
+// goes up. Pages are cursored by message ID and read by that message's score.
+// forum:{id}:removedScores keeps the scores of deleted top-level messages, so
+// a cursor still works after the message it came from is gone.
+//
+// Forums from before the timeline kept a newest-first list in
+// forum:{id}:messages. It is moved over on first use; the sequence key exists
+// from then on and marks the forum as migrated.
+const { redis } = require('./storage');
+
+async function migrateTimeline(forumId) {
+    if (await redis.exists(`forum:${forumId}:sequence`)) {
+        return;
+    }
+
+    // The list is newest first, the oldest message gets score 1
+    const legacyKey = `forum:${forumId}:messages`;
+    const legacyIds = await redis.lrange(legacyKey, 0, -1) || [];
+    if (legacyIds.length > 0) {
+        const entries = legacyIds.map((member, index) => ({ score: legacyIds.length - index, member }));
+        await redis.zadd(`forum:${forumId}:timeline`, ...entries);
+    }
+
+    await redis.set(`forum:${forumId}:sequence`, legacyIds.length, { nx: true });
+    await redis.del(legacyKey);
+}
+
+// The score of the message at the cursor, or null when the message was never
+// in the forum's timeline
+async function cursorScore(forumId, messageId) {
+    const score = await redis.zscore(`forum:${forumId}:timeline`, messageId);
+    if (score !== null && score !== undefined) {
+        return Number(score);
+    }
+
+    const removed = await redis.hget(`forum:${forumId}:removedScores`, messageId);
+    return removed === null || removed === undefined ? null : Number(removed);
+}
+
+async function addToTimeline(forumId, messageId) {
+    await migrateTimeline(forumId);
+    const score = await redis.incr(`forum:${forumId}:sequence`);
+    await redis.zadd(`forum:${forumId}:timeline`, { score, member: messageId });
+}
+
+// Up to `limit` message IDs, newest first, older than the message ID in
+// `before` when one is given. nextCursor is the ID to pass as `before` for
+// the next page, or null when there are no older messages. Resolves to null
+// when `before` isn't a message of this forum.
+async function getTimelinePage(forumId, { before, limit }) {
+    await migrateTimeline(forumId);
+
+    let max = '+inf';
+    if (before !== undefined) {
+        const score = await cursorScore(forumId, before);
+        if (score === null) {
+            return null;
+        }
+        max = `(${score}`;
+    }
+
+    // Read one extra ID to know whether an older page exists
+    const pageIds = await redis.zrange(`forum:${forumId}:timeline`, max, '-inf', {
+        byScore: true,
+        rev: true,
+        offset: 0,
+        count: limit + 1
+    }) || [];
+
+    const hasMore = pageIds.length > limit;
+    const messageIds = pageIds.slice(0, limit);
+    return {
+        messageIds,
+        hasMore,
+        nextCursor: hasMore ? messageIds[messageIds.length - 1] : null
+    };
+}
+
+// Every top-level message ID of the forum, newest first
+async function getTimelineIds(forumId) {
+    await migrateTimeline(forumId);
+    return await redis.zrange(`forum:${forumId}:timeline`, 0, -1, { rev: true }) || [];
+}
+
+async function countTimeline(forumId) {
+    await migrateTimeline(forumId);
+    return await redis.zcard(`forum:${forumId}:timeline`) || 0;
+}
+
+async function deleteReactions(message) {
+    const emojis = Object.keys(message.reactions || {});
+    await Promise.all(emojis.map(emoji => redis.del(`message:${message.id}:reactions:${emoji}`)));
+}
+
+// Deletes the message and its reactions. A top-level message takes its thread
+// with it; deleting a reply refreshes the parent's replyCount, which is
+// returned (undefined for top-level messages).
+async function removeMessage(message) {
+    await Promise.all([
+        redis.del(`message:${message.id}`),
+        redis.srem(`user:${message.userId}:messages`, message.id),
+        deleteReactions(message)
+    ]);
+
+    if (message.parentId) {
+        await redis.lrem(`message:${message.parentId}:replies`, 0, message.id);
+
+        const parent = await redis.get(`message:${message.parentId}`);
+        if (!parent) {
+            return undefined;
+        }
+
+        const replyCount = await redis.llen(`message:${message.parentId}:replies`) || 0;
+        await redis.set(`message:${message.parentId}`, { ...parent, replyCount });
+        return replyCount;
+    }
+
+    const replyIds = await redis.lrange(`message:${message.id}:replies`, 0, -1) || [];
+    const replies = (await Promise.all(replyIds.map(replyId => redis.get(`message:${replyId}`)))).filter(Boolean);
+
+    await migrateTimeline(message.forumId);
+    const score = await redis.zscore(`forum:${message.forumId}:timeline`, message.id);
+    if (score !== null && score !== undefined) {
+        await redis.hset(`forum:${message.forumId}:removedScores`, { [message.id]: score });
+    }
+
+    await Promise.all([
+        redis.zrem(`forum:${message.forumId}:timeline`, message.id),
+        redis.del(`message:${message.id}:replies`),
+        ...replies.map(reply => redis.del(`message:${reply.id}`)),
+        ...replies.map(reply => redis.srem(`user:${reply.userId}:messages`, reply.id)),
+        ...replies.map(deleteReactions)
+    ]);
+
+    return undefined;
+}
+
+// Everything the user wrote. Messages sent before user:{id}:messages existed
+// are found by walking the timelines and threads of the user's forums, and
+// are added to the index on the way. That walk happens once per user;
+// user:{id}:messagesIndexed records that it is done.
+async function getUserMessages(userId, forumIds = []) {
+    const indexKey = `user:${userId}:messages`;
+    const [indexedIds, indexed] = await Promise.all([
+        redis.smembers(indexKey),
+        redis.exists(`user:${userId}:messagesIndexed`)
+    ]);
+    const messageIds = new Set(indexedIds || []);
+
+    for (const forumId of indexed ? [] : forumIds) {
+        const topLevelIds = await getTimelineIds(forumId);
+        const replyLists = await Promise.all(topLevelIds.map(id => redis.lrange(`message:${id}:replies`, 0, -1)));
+        const candidates = [...topLevelIds, ...replyLists.flat().filter(Boolean)]
+            .filter(id => !messageIds.has(id));
+        const messages = await Promise.all(candidates.map(id => redis.get(`message:${id}`)));
+
+        const backfilled = messages.filter(message => message && message.userId === userId).map(message => message.id);
+        if (backfilled.length > 0) {
+            await redis.sadd(indexKey, ...backfilled);
+            backfilled.forEach(id => messageIds.add(id));
+        }
+    }
+
+    if (!indexed) {
+        await redis.set(`user:${userId}:messagesIndexed`, '1');
+    }
+
+    const messages = await Promise.all([...messageIds].map(id => redis.get(`message:${id}`)));
+    return messages
+        .filter(message => message && message.userId === userId)
+        .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+}
+
+module.exports = {
+    addToTimeline,
+    getTimelinePage,
+    getTimelineIds,
+    countTimeline,
+    deleteReactions,
+    removeMessage,
+    getUserMessages
+};
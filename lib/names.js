@@ -0,0 +1,95 @@
+// lib/names.js - Display-name index
+//
+// user:name:{normalized} maps a normalized display name to the user that
+// owns it. Names are claimed with SET NX, so two signups racing for the same
+// name cannot both win, and checking a name costs one key lookup instead of
+// a scan over every user. users:byName is a sorted set with every member at
+// score 0 ("{normalized}\t{userId}"), which keeps prefix searches to a single
+// lexicographic range read. Normalized names never contain a tab, and a tab
+// sorts before any name character, so "anna" still comes before "annabel".
+//
+// A claim must be released when the user renames or deletes their account.
+const { redis, SCRIPTS } = require('./storage');
+
+const NAME_INDEX_KEY = 'users:byName';
+
+// Case, Unicode form and inner whitespace do not make a name distinct
+function normalizeName(displayName) {
+    return displayName.normalize('NFKC').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+function nameKey(displayName) {
+    return `user:name:${normalizeName(displayName)}`;
+}
+
+function indexMember(displayName, userId) {
+    return `${normalizeName(displayName)}\t${userId}`;
+}
+
+// The ID of the user holding the name, or null
+async function lookupName(displayName) {
+    const owner = await redis.get(nameKey(displayName));
+    return owner ? String(owner) : null;
+}
+
+// Resolves to true when the name now belongs to userId, false when someone
+// else holds it
+async function claimName(displayName, userId) {
+    const key = nameKey(displayName);
+
+    if (!await redis.set(key, userId, { nx: true })) {
+        const owner = await lookupName(displayName);
+        if (owner === userId) {
+            return true;
+        }
+
+        // Accounts used to expire without releasing their name, so an old
+        // claim can outlive its owner. Such a name is taken over with a
+        // compare-and-set on the dead owner's ID; of two racing takeovers
+        // only the first still finds it there.
+        if (!owner || await redis.exists(`user:${owner}`)) {
+            return false;
+        }
+
+        if (!await redis.eval(SCRIPTS.compareAndSet, [key], [owner, userId])) {
+            return false;
+        }
+
+        await redis.zrem(NAME_INDEX_KEY, indexMember(displayName, owner));
+    }
+
+    await redis.zadd(NAME_INDEX_KEY, { score: 0, member: indexMember(displayName, userId) });
+    return true;
+}
+
+// Frees the name, but only if userId still holds it
+async function releaseName(displayName, userId) {
+    if (await lookupName(displayName) === userId) {
+        await redis.del(nameKey(displayName));
+    }
+    await redis.zrem(NAME_INDEX_KEY, indexMember(displayName, userId));
+}
+
+// IDs of users whose names start with the prefix, in name order
+async function searchNames(prefix, limit = 10) {
+    const normalized = normalizeName(prefix);
+    if (!normalized) {
+        return [];
+    }
+
+    const members = await redis.zrange(NAME_INDEX_KEY, `[${normalized}`, `[${normalized}\uffff`, {
+        byLex: true,
+        offset: 0,
+        count: limit
+    }) || [];
+
+    return members.map(member => String(member).split('\t')[1]);
+}
+
+module.exports = {
+    normalizeName,
+    lookupName,
+    claimName,
+    releaseName,
+    searchNames
+};
@@ -0,0 +1,127 @@
+// lib/notifications.js - Per-user notification inbox
+//
+// Each notification is stored under notification:{id}. The user's inbox is
+// the list user:{id}:notifications (newest first, capped at INBOX_SIZE) and
+// user:{id}:notifications:unread is the set of IDs not read yet. Creating a
+// notification also pushes a `notification` event to the user's devices.
+const { redis } = require('./storage');
+const { nanoid } = require('nanoid');
+const { broadcastToUser } = require('./events');
+
+const NOTIFICATION_TYPES = ['mention', 'reply', 'forum_created', 'invite'];
+
+const INBOX_SIZE = 100;
+const NOTIFICATION_TTL_SECONDS = 30 * 86400;
+
+function inboxKey(userId) {
+    return `user:${userId}:notifications`;
+}
+
+async function getUnreadCount(userId) {
+    return await redis.scard(`${inboxKey(userId)}:unread`) || 0;
+}
+
+// Stores the notification and tells the user's connected devices about it.
+// Failures are logged rather than thrown, a missed notification should never
+// fail the action that caused it.
+async function createNotification(userId, type, data = {}) {
+    if (!NOTIFICATION_TYPES.includes(type)) {
+        console.error(`Unknown notification type: ${type}`);
+        return null;
+    }
+
+    const notification = {
+        id: nanoid(),
+        type,
+        ...data,
+        createdAt: new Date().toISOString()
+    };
+    const key = inboxKey(userId);
+
+    try {
+        await Promise.all([
+            redis.set(`notification:${notification.id}`, notification, { ex: NOTIFICATION_TTL_SECONDS }),
+            redis.lpush(key, notification.id),
+            redis.sadd(`${key}:unread`, notification.id)
+        ]);
+
+        // Drop whatever fell off the end of the inbox
+        const overflow = await redis.lrange(key, INBOX_SIZE, -1) || [];
+        if (overflow.length > 0) {
+            await Promise.all([
+                redis.ltrim(key, 0, INBOX_SIZE - 1),
+                redis.srem(`${key}:unread`, ...overflow),
+                ...overflow.map(id => redis.del(`notification:${id}`))
+            ]);
+        }
+
+        await broadcastToUser(userId, {
+            type: 'notification',
+            notification: { ...notification, read: false },
+            unreadCount: await getUnreadCount(userId)
+        });
+
+        return notification;
+    } catch (error) {
+        console.error(`Failed to create ${type} notification for ${userId}:`, error);
+        return null;
+    }
+}
+
+// Newest first, each with a `read` flag
+async function listNotifications(userId, limit = 20) {
+    const key = inboxKey(userId);
+    const [ids, unreadIds] = await Promise.all([
+        redis.lrange(key, 0, limit - 1),
+        redis.smembers(`${key}:unread`)
+    ]);
+
+    const notifications = await Promise.all((ids || []).map(id => redis.get(`notification:${id}`)));
+    const unread = new Set(unreadIds || []);
+
+    // Expired notifications leave their IDs behind, tidy them up as we go
+    const expiredIds = (ids || []).filter((id, index) => !notifications[index]);
+    if (expiredIds.length > 0) {
+        await Promise.all([
+            ...expiredIds.map(id => redis.lrem(key, 0, id)),
+            redis.srem(`${key}:unread`, ...expiredIds)
+        ]);
+    }
+
+    return notifications
+        .filter(Boolean)
+        .map(notification => ({ ...notification, read: !unread.has(notification.id) }));
+}
+
+async function markRead(userId, notificationIds) {
+    if (notificationIds.length > 0) {
+        await redis.srem(`${inboxKey(userId)}:unread`, ...notificationIds);
+    }
+    return await getUnreadCount(userId);
+}
+
+async function markAllRead(userId) {
+    await redis.del(`${inboxKey(userId)}:unread`);
+    return 0;
+}
+
+// Empties the inbox, used when the account is deleted
+async function clearNotifications(userId) {
+    const key = inboxKey(userId);
+    const ids = await redis.lrange(key, 0, -1) || [];
+
+    await Promise.all([
+        ...ids.map(id => redis.del(`notification:${id}`)),
+        redis.del(key, `${key}:unread`)
+    ]);
+}
+
+module.exports = {
+    NOTIFICATION_TYPES,
+    createNotification,
+    listNotifications,
+    getUnreadCount,
+    markRead,
+    markAllRead,
+    clearNotifications
+};
@@ -0,0 +1,136 @@
+// lib/permissions.js - Roles and the permission checks built on them
+//
+// Global roles live in the roles:admin and roles:moderator sets. User IDs
+// listed in ADMIN_USER_IDS (comma-separated) are admins regardless, which is
+// how a deployment gets its first admin. Forum roles come from the forum
+// itself: hostId on the record and the forum:{id}:cohosts set.
+//
+// Handlers ask can() / requirePermission() rather than comparing IDs, so the
+// PERMISSIONS table is the one place that decides who may do what.
+const { redis } = require('./storage');
+
+const GLOBAL_ROLES = ['admin', 'moderator'];
+
+const CONFIGURED_ADMIN_IDS = (process.env.ADMIN_USER_IDS || '')
+    .split(',')
+    .map(id => id.trim())
+    .filter(Boolean);
+
+// Roles allowed to perform each action. 'author' means the writer of the
+// message in context, 'host' and 'cohost' are relative to the forum in context.
+const PERMISSIONS = {
+    'message.edit': ['author'],
+    'message.delete': ['author', 'cohost', 'host', 'moderator', 'admin'],
+    'forum.manage': ['cohost', 'host', 'moderator', 'admin'],
+    'forum.invite': ['cohost', 'host', 'moderator', 'admin'],
+    'forum.delete': ['host', 'admin'],
+    'forum.cohosts': ['host', 'admin'],
+    'roles.manage': ['admin'],
+    'topics.manage': ['admin']
+};
+
+async function getGlobalRoles(userId) {
+    const [isAdmin, isModerator] = await Promise.all([
+        redis.sismember('roles:admin', userId),
+        redis.sismember('roles:moderator', userId)
+    ]);
+
+    const roles = [];
+    if (isAdmin || CONFIGURED_ADMIN_IDS.includes(userId)) roles.push('admin');
+    if (isModerator) roles.push('moderator');
+    return roles;
+}
+
+// Global roles plus the user's roles relative to context.forum and
+// context.message
+async function getRoles(userId, { forum, message } = {}) {
+    const roles = await getGlobalRoles(userId);
+
+    if (forum) {
+        if (forum.hostId === userId) {
+            roles.push('host');
+        } else if (await redis.sismember(`forum:${forum.id}:cohosts`, userId)) {
+            roles.push('cohost');
+        }
+    }
+
+    if (message && message.userId === userId) {
+        roles.push('author');
+    }
+
+    return roles;
+}
+
+function allows(action, roles) {
+    const allowed = PERMISSIONS[action];
+    if (!allowed) {
+        throw new Error(`Unknown permission: ${action}`);
+    }
+    return roles.some(role => allowed.includes(role));
+}
+
+async function can(userId, action, context = {}) {
+    if (!userId) {
+        return false;
+    }
+    return allows(action, await getRoles(userId, context));
+}
+
+// Responds with 403 and resolves to false when the user may not act
+async function requirePermission(res, userId, action, context, error = 'You do not have permission to do that') {
+    if (await can(userId, action, context)) {
+        return true;
+    }
+
+    res.status(403).json({ error });
+    return false;
+}
+
+// What the user may do in a forum, so clients know which controls to show
+async function getForumPermissions(userId, forum) {
+    const roles = await getRoles(userId, { forum });
+
+    return {
+        roles,
+        moderateMessages: allows('message.delete', roles),
+        manageForum: allows('forum.manage', roles),
+        invite: allows('forum.invite', roles),
+        deleteForum: allows('forum.delete', roles),
+        manageCohosts: allows('forum.cohosts', roles)
+    };
+}
+
+async function grantRole(userId, role) {
+    await redis.sadd(`roles:${role}`, userId);
+}
+
+async function revokeRole(userId, role) {
+    await redis.srem(`roles:${role}`, userId);
+}
+
+// { admin: [...ids], moderator: [...ids] }
+async function listRoleMembers() {
+    const [admins, moderators] = await Promise.all([
+        redis.smembers('roles:admin'),
+        redis.smembers('roles:moderator')
+    ]);
+
+    return {
+        admin: [...new Set([...CONFIGURED_ADMIN_IDS, ...(admins || [])])],
+        moderator: moderators || []
+    };
+}
+
+module.exports = {
+    GLOBAL_ROLES,
+    CONFIGURED_ADMIN_IDS,
+    PERMISSIONS,
+    getGlobalRoles,
+    getRoles,
+    can,
+    requirePermission,
+    getForumPermissions,
+    grantRole,
+    revokeRole,
+    listRoleMembers
+};
@@ -0,0 +1,137 @@
+// lib/recommendations.js - "For you" forum recommendations
+//
+// Forums the user hasn't been in are scored on three signals:
+//   - interest:  the forum's topic is one of the user's interests
+//   - topic:     the share of the user's forums that have the same topic
+//   - similar:   how much the forum's participants overlap with the user in
+//                other forums (cosine similarity of their forum sets)
+// plus a small nudge from the trending score so lively forums win ties. Each
+// recommendation carries the reasons that applied, for the client to explain.
+const { redis } = require('./storage');
+const { getVisibility, isMember } = require('./forums');
+const { getTrendingScores } = require('./trending');
+
+const WEIGHTS = {
+    interest: 3,
+    topic: 2,
+    similar: 2,
+    trending: 0.5
+};
+
+// How many of the most similar users are taken into account
+const MAX_SIMILAR_USERS = 20;
+
+// Every forum the user has been part of: joined now or before, or hosted
+async function getUserForumIds(userId, user) {
+    const [joined, hosted] = await Promise.all([
+        redis.smembers(`user:${userId}:forums`),
+        redis.smembers(`user:${userId}:hosted`)
+    ]);
+
+    return new Set([...(joined || []), ...(hosted || []), ...(user.discussionsJoined || [])]);
+}
+
+// { userId: similarity } for the users who share the most forums with the user
+async function getSimilarUsers(userId, forumIds) {
+    const shared = {};
+
+    for (const forumId of forumIds) {
+        const participants = await redis.smembers(`forum:${forumId}:participants`) || [];
+        for (const otherId of participants) {
+            if (otherId !== userId) {
+                shared[otherId] = (shared[otherId] || 0) + 1;
+            }
+        }
+    }
+
+    const candidates = Object.entries(shared)
+        .sort(([, a], [, b]) => b - a)
+        .slice(0, MAX_SIMILAR_USERS);
+
+    const similar = {};
+    for (const [otherId, count] of candidates) {
+        const theirs = await redis.scard(`user:${otherId}:forums`) || count;
+        similar[otherId] = count / Math.sqrt(forumIds.size * Math.max(theirs, count));
+    }
+
+    return similar;
+}
+
+// Up to `limit` forums for the user, best first, or null when there is no
+// such user
+async function recommendForums(userId, limit = 10) {
+    const user = await redis.get(`user:${userId}`);
+    if (!user) {
+        return null;
+    }
+
+    const interests = new Set(user.interests || []);
+    const ownForumIds = await getUserForumIds(userId, user);
+
+    const [allForumIds, ownForums, similarUsers, trendingScores] = await Promise.all([
+        redis.smembers('forums'),
+        Promise.all([...ownForumIds].map(id => redis.get(`forum:${id}`))),
+        getSimilarUsers(userId, ownForumIds),
+        getTrendingScores()
+    ]);
+
+    // Share of the user's forums per topic
+    const knownForums = ownForums.filter(Boolean);
+    const topicShare = {};
+    for (const forum of knownForums) {
+        topicShare[forum.topic] = (topicShare[forum.topic] || 0) + 1 / knownForums.length;
+    }
+
+    const recommendations = [];
+
+    for (const forumId of allForumIds || []) {
+        if (ownForumIds.has(forumId)) continue;
+
+        const forum = await redis.get(`forum:${forumId}`);
+        if (!forum || forum.archived) continue;
+        if (getVisibility(forum) !== 'public' && !await isMember(userId, forum)) continue;
+
+        const participantIds = await redis.smembers(`forum:${forumId}:participants`) || [];
+        const similarInForum = participantIds.filter(id => similarUsers[id] !== undefined);
+        const similarity = similarInForum.reduce((sum, id) => sum + similarUsers[id], 0);
+
+        const reasons = [];
+        let score = 0;
+
+        if (interests.has(forum.topic)) {
+            score += WEIGHTS.interest;
+            reasons.push({ type: 'interest', topic: forum.topic });
+        }
+
+        if (topicShare[forum.topic]) {
+            score += WEIGHTS.topic * topicShare[forum.topic];
+            reasons.push({ type: 'topic', topic: forum.topic });
+        }
+
+        if (similarity > 0) {
+            score += WEIGHTS.similar * similarity;
+            reasons.push({ type: 'similar', users: similarInForum.length });
+        }
+
+        // Activity alone doesn't make a recommendation, it only ranks them
+        if (reasons.length === 0) continue;
+
+        score += WEIGHTS.trending * Math.log2(1 + (trendingScores[forumId] || 0));
+
+        recommendations.push({
+            ...forum,
+            participants: participantIds.length,
+            isActive: participantIds.length > 0,
+            recommendationScore: Math.round(score * 100) / 100,
+            reasons
+        });
+    }
+
+    return recommendations
+        .sort((a, b) => b.recommendationScore - a.recommendationScore)
+        .slice(0, limit);
+}
+
+module.exports = {
+    recommendForums
+};
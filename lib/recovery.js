@@ -0,0 +1,60 @@
+// lib/recovery.js - One-time account recovery codes
+//
+// Accounts have no password, so the session token in localStorage is the only
+// way back in. Signup issues a batch of recovery codes; only their SHA-256
+// hashes are kept, in the user:{id}:recoveryCodes set. Redeeming a code removes
+// its hash, and SREM reporting the removal is what makes each code single-use.
+const crypto = require('crypto');
+const { redis } = require('./storage');
+
+const RECOVERY_CODE_COUNT = 8;
+
+// No 0/O or 1/I/L, so codes survive being copied by hand
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 10;
+
+function generateCode() {
+    let code = '';
+    for (let i = 0; i < CODE_LENGTH; i++) {
+        code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+    }
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+}
+
+// Case, spaces and dashes don't matter when a code is typed back in
+function hashCode(code) {
+    const normalized = String(code).toUpperCase().replace(/[^A-Z0-9]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+// Replaces any previous codes and returns the new ones in plain text. This is
+// the only time they are available, so the caller must hand them to the user.
+async function issueRecoveryCodes(userId) {
+    const key = `user:${userId}:recoveryCodes`;
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, generateCode);
+
+    await redis.del(key);
+    await redis.sadd(key, ...codes.map(hashCode));
+
+    return codes;
+}
+
+// Consumes the code, resolving to false when it is not one of the user's
+async function redeemRecoveryCode(userId, code) {
+    if (typeof code !== 'string' || !code.trim()) {
+        return false;
+    }
+
+    return await redis.srem(`user:${userId}:recoveryCodes`, hashCode(code)) > 0;
+}
+
+async function countRecoveryCodes(userId) {
+    return await redis.scard(`user:${userId}:recoveryCodes`) || 0;
+}
+
+module.exports = {
+    RECOVERY_CODE_COUNT,
+    issueRecoveryCodes,
+    redeemRecoveryCode,
+    countRecoveryCodes
+};
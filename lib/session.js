@@ -0,0 +1,206 @@
+// lib/session.js - Signed session tokens shared by the API handlers
+//
+// Every sign-in is its own session: session:{sid} records the device's user
+// agent, creation time and last activity, and user:{id}:sessions lists the
+// user's session IDs. Tokens carry the sid, so a token only works while its
+// session record exists and revoking a device is deleting that record.
+const crypto = require('crypto');
+const { nanoid } = require('nanoid');
+const { redis } = require('./storage');
+const { broadcastToUser } = require('./events');
+
+// Session lifetime (24 hours), slid forward on activity
+const SESSION_TTL_SECONDS = 86400;
+
+const DEVELOPMENT_SECRET = 'forum-app-development-secret';
+
+let secret = process.env.SESSION_SECRET;
+if (!secret) {
+    if (process.env.NODE_ENV === 'production') {
+        throw new Error('SESSION_SECRET must be set in production');
+    }
+    console.warn('SESSION_SECRET not set, using an insecure development secret');
+    secret = DEVELOPMENT_SECRET;
+}
+
+function base64url(input) {
+    return Buffer.from(input).toString('base64')
+        .replace(/=+$/, '')
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_');
+}
+
+function sign(payload) {
+    return base64url(crypto.createHmac('sha256', secret).update(payload).digest());
+}
+
+function createSessionToken(userId, sessionId) {
+    const issuedAt = Math.floor(Date.now() / 1000);
+    const expiresAt = issuedAt + SESSION_TTL_SECONDS;
+    const payload = base64url(JSON.stringify({ sub: userId, sid: sessionId, iat: issuedAt, exp: expiresAt }));
+
+    return {
+        id: sessionId,
+        token: `${payload}.${sign(payload)}`,
+        expiresAt: new Date(expiresAt * 1000).toISOString()
+    };
+}
+
+// Checks the signature and expiry only. Returns { userId, sessionId, expiresAt }
+// for a well-formed token, null otherwise.
+function verifySessionToken(token) {
+    if (typeof token !== 'string') {
+        return null;
+    }
+
+    const [payload, signature] = token.split('.');
+    if (!payload || !signature) {
+        return null;
+    }
+
+    const expected = Buffer.from(sign(payload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return null;
+    }
+
+    try {
+        const claims = JSON.parse(Buffer.from(payload, 'base64').toString('utf8'));
+        if (!claims.sub || !claims.sid || !claims.exp || claims.exp * 1000 <= Date.now()) {
+            return null;
+        }
+
+        return {
+            userId: claims.sub,
+            sessionId: claims.sid,
+            expiresAt: new Date(claims.exp * 1000).toISOString()
+        };
+    } catch (error) {
+        return null;
+    }
+}
+
+function getBearerToken(req) {
+    const header = req.headers && req.headers.authorization;
+    if (!header) {
+        return null;
+    }
+
+    const [scheme, token] = header.split(' ');
+    return scheme && scheme.toLowerCase() === 'bearer' ? token : null;
+}
+
+// Session for requests where signing in is optional, null when anonymous
+// or when the session has been revoked
+async function getSession(req) {
+    const claims = verifySessionToken(getBearerToken(req));
+    if (!claims) {
+        return null;
+    }
+
+    const record = await redis.get(`session:${claims.sessionId}`);
+    return record && record.userId === claims.userId ? claims : null;
+}
+
+// Resolves the acting user from the Authorization header.
+// Responds with 401 and resolves to null when there is no valid session.
+async function requireSession(req, res) {
+    const session = await getSession(req);
+
+    if (!session) {
+        res.status(401).json({ error: 'Authentication required' });
+        return null;
+    }
+
+    return session;
+}
+
+// Records a new session for this device and returns its token
+async function startSession(userId, req) {
+    const sessionId = nanoid();
+    const now = Date.now();
+
+    await Promise.all([
+        redis.set(`session:${sessionId}`, {
+            id: sessionId,
+            userId,
+            userAgent: (req.headers && req.headers['user-agent']) || 'unknown',
+            createdAt: now,
+            lastActivity: now
+        }, { ex: SESSION_TTL_SECONDS }),
+        redis.sadd(`user:${userId}:sessions`, sessionId)
+    ]);
+
+    return createSessionToken(userId, sessionId);
+}
+
+// Marks the session active, slides its expiry and returns a fresh token
+async function touchSession(session) {
+    const key = `session:${session.sessionId}`;
+    const record = await redis.get(key);
+
+    if (record) {
+        await redis.set(key, { ...record, lastActivity: Date.now() }, { ex: SESSION_TTL_SECONDS });
+    }
+
+    return createSessionToken(session.userId, session.sessionId);
+}
+
+// The user's live sessions, most recently active first
+async function listSessions(userId) {
+    const sessionIds = await redis.smembers(`user:${userId}:sessions`) || [];
+    const records = await Promise.all(sessionIds.map(id => redis.get(`session:${id}`)));
+
+    // Expired sessions leave their IDs behind
+    const expiredIds = sessionIds.filter((id, i) => !records[i]);
+    if (expiredIds.length > 0) {
+        await redis.srem(`user:${userId}:sessions`, ...expiredIds);
+    }
+
+    return records
+        .filter(Boolean)
+        .sort((a, b) => b.lastActivity - a.lastActivity);
+}
+
+// Deletes the session and tells its SSE connections to close.
+// Resolves to false when the session is not one of the user's.
+async function revokeSession(userId, sessionId) {
+    const record = await redis.get(`session:${sessionId}`);
+    if (!record || record.userId !== userId) {
+        return false;
+    }
+
+    await Promise.all([
+        redis.del(`session:${sessionId}`),
+        redis.srem(`user:${userId}:sessions`, sessionId)
+    ]);
+
+    await broadcastToUser(userId, { type: 'session_revoked', sessionId });
+    return true;
+}
+
+async function revokeAllSessions(userId) {
+    const sessionIds = await redis.smembers(`user:${userId}:sessions`) || [];
+
+    await Promise.all([
+        ...sessionIds.map(id => redis.del(`session:${id}`)),
+        redis.del(`user:${userId}:sessions`)
+    ]);
+
+    await broadcastToUser(userId, { type: 'session_revoked', all: true });
+    return sessionIds.length;
+}
+
+module.exports = {
+    SESSION_TTL_SECONDS,
+    createSessionToken,
+    verifySessionToken,
+    getBearerToken,
+    getSession,
+    requireSession,
+    startSession,
+    touchSession,
+    listSessions,
+    revokeSession,
+    revokeAllSessions
+};
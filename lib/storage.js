@@ -0,0 +1,602 @@
+// lib/storage.js - Shared storage adapter (Upstash Redis or in-memory)
+//
+// Every API module imports `redis` from here. When Upstash credentials are
+// configured the real client is used; otherwise an in-memory backend with the
+// same interface (and the same JSON (de)serialization) stands in, so the whole
+// app can run locally without network access.
+
+// Upstash stores strings as-is and JSON-encodes everything else
+function serialize(value) {
+    return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+// ...and parses values back when they look like JSON
+function deserialize(value) {
+    if (value === null || value === undefined) {
+        return null;
+    }
+
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        return value;
+    }
+}
+
+// Lua scripts for the few updates that must read and write in one step. The
+// in-memory backend runs its own equivalent of each, so only these can be
+// passed to eval().
+const SCRIPTS = {
+    // Sets KEYS[1] to ARGV[2] only while it still holds ARGV[1]; returns 1 if
+    // it did, 0 if not
+    compareAndSet: `if redis.call('GET', KEYS[1]) == ARGV[1] then
+    redis.call('SET', KEYS[1], ARGV[2])
+    return 1
+end
+return 0`
+};
+
+function globToRegExp(pattern) {
+    const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`^${escaped.replace(/\*/g, '.*').replace(/\?/g, '.')}$`);
+}
+
+// Redis list/rank indexes: negative values count from the end, stop is inclusive
+function normalizeRange(start, stop, length) {
+    let from = start < 0 ? length + start : start;
+    let to = stop < 0 ? length + stop : stop;
+    from = Math.max(from, 0);
+    to = Math.min(to, length - 1);
+    return [from, to];
+}
+
+// Score bounds accept numbers, '-inf'/'+inf' and exclusive '(n' forms
+function parseScoreBound(bound) {
+    if (bound === '-inf') return { value: -Infinity, exclusive: false };
+    if (bound === '+inf' || bound === 'inf') return { value: Infinity, exclusive: false };
+
+    const text = String(bound);
+    if (text.startsWith('(')) {
+        return { value: Number(text.slice(1)), exclusive: true };
+    }
+
+    return { value: Number(text), exclusive: false };
+}
+
+function inScoreRange(score, min, max) {
+    const aboveMin = min.exclusive ? score > min.value : score >= min.value;
+    const belowMax = max.exclusive ? score < max.value : score <= max.value;
+    return aboveMin && belowMax;
+}
+
+// Lexicographic bounds: '-', '+', '[member' (inclusive) or '(member' (exclusive)
+function inLexRange(member, min, max) {
+    const aboveMin = min === '-' || (min.startsWith('(') ? member > min.slice(1) : member >= min.slice(1));
+    const belowMax = max === '+' || (max.startsWith('(') ? member < max.slice(1) : member <= max.slice(1));
+    return aboveMin && belowMax;
+}
+
+function createMemoryStorage() {
+    const data = new Map(); // key -> { type, value }
+    const expiries = new Map(); // key -> epoch ms
+
+    function isExpired(key) {
+        const expiresAt = expiries.get(key);
+        if (expiresAt !== undefined && expiresAt <= Date.now()) {
+            data.delete(key);
+            expiries.delete(key);
+            return true;
+        }
+        return false;
+    }
+
+    function entry(key, type) {
+        if (isExpired(key)) {
+            return null;
+        }
+
+        const item = data.get(key);
+        if (item && type && item.type !== type) {
+            throw new Error('WRONGTYPE Operation against a key holding the wrong kind of value');
+        }
+        return item || null;
+    }
+
+    function ensure(key, type, create) {
+        const item = entry(key, type);
+        if (item) {
+            return item.value;
+        }
+
+        const value = create();
+        data.set(key, { type, value });
+        return value;
+    }
+
+    // Redis deletes collections once they become empty
+    function dropIfEmpty(key) {
+        const item = data.get(key);
+        if (!item) return;
+
+        const size = item.value.size !== undefined ? item.value.size : item.value.length;
+        if (item.type !== 'string' && size === 0) {
+            data.delete(key);
+            expiries.delete(key);
+        }
+    }
+
+    function sortedEntries(zset) {
+        return Array.from(zset.entries())
+            .map(([member, score]) => ({ member, score }))
+            .sort((a, b) => a.score - b.score || (a.member < b.member ? -1 : a.member > b.member ? 1 : 0));
+    }
+
+    return {
+        // Strings
+
+        async get(key) {
+            const item = entry(key, 'string');
+            return item ? deserialize(item.value) : null;
+        },
+
+        async mget(...keys) {
+            const flatKeys = keys.flat();
+            return Promise.all(flatKeys.map(key => this.get(key)));
+        },
+
+        async set(key, value, options = {}) {
+            const exists = entry(key) !== null;
+            if ((options.nx && exists) || (options.xx && !exists)) {
+                return null;
+            }
+
+            data.set(key, { type: 'string', value: serialize(value) });
+            expiries.delete(key);
+
+            if (options.ex) {
+                expiries.set(key, Date.now() + options.ex * 1000);
+            } else if (options.px) {
+                expiries.set(key, Date.now() + options.px);
+            }
+            return 'OK';
+        },
+
+        async setex(key, seconds, value) {
+            return this.set(key, value, { ex: seconds });
+        },
+
+        async incrby(key, increment) {
+            const item = entry(key, 'string');
+            const current = item ? Number(item.value) : 0;
+            if (Number.isNaN(current)) {
+                throw new Error('ERR value is not an integer or out of range');
+            }
+
+            const next = current + increment;
+            if (item) {
+                item.value = String(next);
+            } else {
+                data.set(key, { type: 'string', value: String(next) });
+            }
+            return next;
+        },
+
+        async incr(key) {
+            return this.incrby(key, 1);
+        },
+
+        async decr(key) {
+            return this.incrby(key, -1);
+        },
+
+        // Keys
+
+        async del(...keys) {
+            let removed = 0;
+            for (const key of keys.flat()) {
+                if (entry(key) !== null) {
+                    data.delete(key);
+                    expiries.delete(key);
+                    removed++;
+                }
+            }
+            return removed;
+        },
+
+        async exists(...keys) {
+            return keys.flat().filter(key => entry(key) !== null).length;
+        },
+
+        async expire(key, seconds) {
+            if (entry(key) === null) {
+                return 0;
+            }
+            expiries.set(key, Date.now() + seconds * 1000);
+            return 1;
+        },
+
+        async ttl(key) {
+            if (entry(key) === null) return -2;
+            const expiresAt = expiries.get(key);
+            return expiresAt === undefined ? -1 : Math.ceil((expiresAt - Date.now()) / 1000);
+        },
+
+        async keys(pattern) {
+            const matcher = globToRegExp(pattern);
+            return Array.from(data.keys()).filter(key => !isExpired(key) && matcher.test(key));
+        },
+
+        // Sets
+
+        async sadd(key, ...members) {
+            const set = ensure(key, 'set', () => new Set());
+            let added = 0;
+            for (const member of members) {
+                const value = serialize(member);
+                if (!set.has(value)) {
+                    set.add(value);
+                    added++;
+                }
+            }
+            return added;
+        },
+
+        async srem(key, ...members) {
+            const item = entry(key, 'set');
+            if (!item) return 0;
+
+            let removed = 0;
+            for (const member of members) {
+                if (item.value.delete(serialize(member))) {
+                    removed++;
+                }
+            }
+            dropIfEmpty(key);
+            return removed;
+        },
+
+        async smembers(key) {
+            const item = entry(key, 'set');
+            return item ? Array.from(item.value).map(deserialize) : [];
+        },
+
+        async sismember(key, member) {
+            const item = entry(key, 'set');
+            return item && item.value.has(serialize(member)) ? 1 : 0;
+        },
+
+        async scard(key) {
+            const item = entry(key, 'set');
+            return item ? item.value.size : 0;
+        },
+
+        // Lists (index 0 is the head)
+
+        async lpush(key, ...elements) {
+            const list = ensure(key, 'list', () => []);
+            for (const element of elements) {
+                list.unshift(serialize(element));
+            }
+            return list.length;
+        },
+
+        async rpush(key, ...elements) {
+            const list = ensure(key, 'list', () => []);
+            for (const element of elements) {
+                list.push(serialize(element));
+            }
+            return list.length;
+        },
+
+        async lrange(key, start, stop) {
+            const item = entry(key, 'list');
+            if (!item) return [];
+
+            const [from, to] = normalizeRange(start, stop, item.value.length);
+            return from > to ? [] : item.value.slice(from, to + 1).map(deserialize);
+        },
+
+        async llen(key) {
+            const item = entry(key, 'list');
+            return item ? item.value.length : 0;
+        },
+
+        async ltrim(key, start, stop) {
+            const item = entry(key, 'list');
+            if (!item) return 'OK';
+
+            const [from, to] = normalizeRange(start, stop, item.value.length);
+            item.value = from > to ? [] : item.value.slice(from, to + 1);
+            dropIfEmpty(key);
+            return 'OK';
+        },
+
+        async lrem(key, count, element) {
+            const item = entry(key, 'list');
+            if (!item) return 0;
+
+            const value = serialize(element);
+            const list = count < 0 ? item.value.slice().reverse() : item.value.slice();
+            const limit = count === 0 ? Infinity : Math.abs(count);
+            let removed = 0;
+
+            const kept = list.filter(current => {
+                if (removed < limit && current === value) {
+                    removed++;
+                    return false;
+                }
+                return true;
+            });
+
+            item.value = count < 0 ? kept.reverse() : kept;
+            dropIfEmpty(key);
+            return removed;
+        },
+
+        async lpos(key, element) {
+            const item = entry(key, 'list');
+            if (!item) return null;
+
+            const index = item.value.indexOf(serialize(element));
+            return index === -1 ? null : index;
+        },
+
+        // Hashes
+
+        async hset(key, fields) {
+            const hash = ensure(key, 'hash', () => new Map());
+            let added = 0;
+            for (const [field, value] of Object.entries(fields)) {
+                if (!hash.has(field)) added++;
+                hash.set(field, serialize(value));
+            }
+            return added;
+        },
+
+        async hget(key, field) {
+            const item = entry(key, 'hash');
+            return item && item.value.has(field) ? deserialize(item.value.get(field)) : null;
+        },
+
+        async hmget(key, ...fields) {
+            const item = entry(key, 'hash');
+            if (!item) return null;
+
+            const result = {};
+            for (const field of fields.flat()) {
+                result[field] = item.value.has(field) ? deserialize(item.value.get(field)) : null;
+            }
+            return result;
+        },
+
+        async hgetall(key) {
+            const item = entry(key, 'hash');
+            if (!item) return null;
+
+            const result = {};
+            for (const [field, value] of item.value) {
+                result[field] = deserialize(value);
+            }
+            return result;
+        },
+
+        async hdel(key, ...fields) {
+            const item = entry(key, 'hash');
+            if (!item) return 0;
+
+            let removed = 0;
+            for (const field of fields.flat()) {
+                if (item.value.delete(field)) removed++;
+            }
+            dropIfEmpty(key);
+            return removed;
+        },
+
+        async hincrby(key, field, increment) {
+            const hash = ensure(key, 'hash', () => new Map());
+            const next = Number(hash.get(field) || 0) + increment;
+            hash.set(field, String(next));
+            return next;
+        },
+
+        async hlen(key) {
+            const item = entry(key, 'hash');
+            return item ? item.value.size : 0;
+        },
+
+        // Sorted sets
+
+        async zadd(key, ...args) {
+            const options = args.length > 1 && args[0] && args[0].score === undefined ? args.shift() : {};
+            const zset = ensure(key, 'zset', () => new Map());
+            let added = 0;
+
+            for (const { score, member } of args) {
+                const value = serialize(member);
+                const exists = zset.has(value);
+                if ((options.nx && exists) || (options.xx && !exists)) continue;
+                if (!exists) added++;
+                zset.set(value, Number(score));
+            }
+            return added;
+        },
+
+        async zincrby(key, increment, member) {
+            const zset = ensure(key, 'zset', () => new Map());
+            const value = serialize(member);
+            const next = (zset.get(value) || 0) + Number(increment);
+            zset.set(value, next);
+            return next;
+        },
+
+        async zscore(key, member) {
+            const item = entry(key, 'zset');
+            if (!item) return null;
+
+            const score = item.value.get(serialize(member));
+            return score === undefined ? null : score;
+        },
+
+        async zrem(key, ...members) {
+            const item = entry(key, 'zset');
+            if (!item) return 0;
+
+            let removed = 0;
+            for (const member of members) {
+                if (item.value.delete(serialize(member))) removed++;
+            }
+            dropIfEmpty(key);
+            return removed;
+        },
+
+        async zcard(key) {
+            const item = entry(key, 'zset');
+            return item ? item.value.size : 0;
+        },
+
+        // Mirrors ZRANGE with the BYSCORE / BYLEX / REV / LIMIT / WITHSCORES
+        // options. With rev + byScore/byLex the first bound is the maximum, as in Redis.
+        async zrange(key, start, stop, options = {}) {
+            const item = entry(key, 'zset');
+            if (!item) return [];
+
+            let entries = sortedEntries(item.value);
+
+            if (options.byScore || options.byLex) {
+                const lower = options.rev ? stop : start;
+                const upper = options.rev ? start : stop;
+
+                if (options.byScore) {
+                    const min = parseScoreBound(lower);
+                    const max = parseScoreBound(upper);
+                    entries = entries.filter(({ score }) => inScoreRange(score, min, max));
+                } else {
+                    // Only meaningful when all members share a score, as in Redis
+                    entries = entries.filter(({ member }) => inLexRange(member, lower, upper));
+                }
+
+                if (options.rev) entries.reverse();
+                if (options.offset !== undefined || options.count !== undefined) {
+                    const offset = options.offset || 0;
+                    const count = options.count === undefined || options.count < 0 ? entries.length : options.count;
+                    entries = entries.slice(offset, offset + count);
+                }
+            } else {
+                if (options.rev) entries.reverse();
+                const [from, to] = normalizeRange(Number(start), Number(stop), entries.length);
+                entries = from > to ? [] : entries.slice(from, to + 1);
+            }
+
+            if (options.withScores) {
+                return entries.flatMap(({ member, score }) => [deserialize(member), score]);
+            }
+            return entries.map(({ member }) => deserialize(member));
+        },
+
+        async zremrangebyscore(key, min, max) {
+            const item = entry(key, 'zset');
+            if (!item) return 0;
+
+            const lower = parseScoreBound(min);
+            const upper = parseScoreBound(max);
+            let removed = 0;
+            for (const [member, score] of Array.from(item.value.entries())) {
+                if (inScoreRange(score, lower, upper)) {
+                    item.value.delete(member);
+                    removed++;
+                }
+            }
+            dropIfEmpty(key);
+            return removed;
+        },
+
+        async zremrangebyrank(key, start, stop) {
+            const item = entry(key, 'zset');
+            if (!item) return 0;
+
+            const entries = sortedEntries(item.value);
+            const [from, to] = normalizeRange(start, stop, entries.length);
+            let removed = 0;
+            for (let i = from; i <= to; i++) {
+                item.value.delete(entries[i].member);
+                removed++;
+            }
+            dropIfEmpty(key);
+            return removed;
+        },
+
+        // Scripts
+
+        async eval(script, keys, args) {
+            if (script === SCRIPTS.compareAndSet) {
+                const item = entry(keys[0], 'string');
+                if (!item || item.value !== serialize(args[0])) {
+                    return 0;
+                }
+                data.set(keys[0], { type: 'string', value: serialize(args[1]) });
+                expiries.delete(keys[0]);
+                return 1;
+            }
+
+            throw new Error('The in-memory backend only runs the scripts in SCRIPTS');
+        },
+
+        // Development helper, not part of the Redis interface
+        async flushall() {
+            data.clear();
+            expiries.clear();
+            return 'OK';
+        }
+    };
+}
+
+function isUpstashConfigured() {
+    return Boolean(
+        (process.env.UPSTASH_REDIS_REST_URL && process.env.UPSTASH_REDIS_REST_TOKEN) ||
+        (process.env.KV_REST_API_URL && process.env.KV_REST_API_TOKEN)
+    );
+}
+
+function createUpstashStorage() {
+    const { Redis } = require('@upstash/redis');
+
+    if (process.env.UPSTASH_REDIS_REST_URL) {
+        return Redis.fromEnv();
+    }
+
+    // Vercel KV exposes the same REST API under different variable names
+    return new Redis({
+        url: process.env.KV_REST_API_URL,
+        token: process.env.KV_REST_API_TOKEN
+    });
+}
+
+function createStorage() {
+    const backend = process.env.STORAGE_BACKEND || (isUpstashConfigured() ? 'upstash' : 'memory');
+
+    if (backend === 'upstash') {
+        console.log('Storage: using Upstash Redis');
+        return { backend, redis: createUpstashStorage() };
+    }
+
+    if (backend !== 'memory') {
+        throw new Error(`Unknown STORAGE_BACKEND "${backend}"`);
+    }
+
+    console.warn('Storage: Upstash not configured, using in-memory storage for development');
+
+    // Share one store between every module loaded in this process
+    if (!global.__forumMemoryStorage) {
+        global.__forumMemoryStorage = createMemoryStorage();
+    }
+    return { backend, redis: global.__forumMemoryStorage };
+}
+
+const { backend, redis } = createStorage();
+
+module.exports = {
+    SCRIPTS,
+    backend,
+    redis,
+    createMemoryStorage
+};
@@ -0,0 +1,114 @@
+// lib/topics.js - The topic catalog forums are filed under
+//
+// topic:{slug} holds { slug, name, icon, color, description, position,
+// createdAt } and the topics set lists the slugs. Followers of a topic are in
+// topic:{slug}:followers, kept in step with users' interests. The catalog is
+// seeded with DEFAULT_TOPICS the first time it is read; after that it is
+// whatever admins make of it. topics:seeded is only set once the defaults are
+// written, so no reader ever sees a half-seeded catalog as final.
+const { redis } = require('./storage');
+
+const DEFAULT_TOPICS = [
+    { slug: 'technology', name: 'Technology', icon: 'fas fa-microchip', color: '#3b82f6', description: 'Software, hardware and the future of tech' },
+    { slug: 'philosophy', name: 'Philosophy', icon: 'fas fa-brain', color: '#8b5cf6', description: 'Big questions, ethics and ideas' },
+    { slug: 'culture', name: 'Culture', icon: 'fas fa-palette', color: '#ec4899', description: 'Books, film, food and everyday life' },
+    { slug: 'art', name: 'Art & Design', icon: 'fas fa-paint-brush', color: '#f59e0b', description: 'Making things look and work beautifully' },
+    { slug: 'music', name: 'Music', icon: 'fas fa-music', color: '#10b981', description: 'Listening, playing and producing' },
+    { slug: 'gaming', name: 'Gaming', icon: 'fas fa-gamepad', color: '#ef4444', description: 'Video, board and tabletop games' }
+];
+
+// Seeding may run more than once while the flag is missing, so it never
+// overwrites a topic that is already there
+async function seedTopics() {
+    if (await redis.exists('topics:seeded')) {
+        return;
+    }
+
+    const createdAt = new Date().toISOString();
+    await Promise.all(DEFAULT_TOPICS.flatMap((topic, position) => [
+        redis.set(`topic:${topic.slug}`, { ...topic, position, createdAt }, { nx: true }),
+        redis.sadd('topics', topic.slug)
+    ]));
+
+    await redis.set('topics:seeded', '1');
+}
+
+// All topics in display order
+async function listTopics() {
+    await seedTopics();
+
+    const slugs = await redis.smembers('topics') || [];
+    const topics = (await Promise.all(slugs.map(slug => redis.get(`topic:${slug}`)))).filter(Boolean);
+
+    return topics.sort((a, b) => (a.position - b.position) || a.name.localeCompare(b.name));
+}
+
+async function getTopic(slug) {
+    if (typeof slug !== 'string' || !slug) {
+        return null;
+    }
+
+    await seedTopics();
+    return redis.get(`topic:${slug}`);
+}
+
+async function topicExists(slug) {
+    return Boolean(await getTopic(slug));
+}
+
+// The given slugs that are in the catalog, in their original order
+async function filterTopicSlugs(slugs) {
+    const known = new Set((await listTopics()).map(topic => topic.slug));
+    return [...new Set(slugs)].filter(slug => known.has(slug));
+}
+
+// Resolves to null when a topic with the slug already exists
+async function createTopic(fields) {
+    const topics = await listTopics();
+    const topic = {
+        ...fields,
+        position: fields.position ?? topics.length,
+        createdAt: new Date().toISOString()
+    };
+
+    if (!await redis.set(`topic:${topic.slug}`, topic, { nx: true })) {
+        return null;
+    }
+
+    await redis.sadd('topics', topic.slug);
+    return topic;
+}
+
+async function updateTopic(topic, updates) {
+    const updated = { ...topic, ...updates, updatedAt: new Date().toISOString() };
+    await redis.set(`topic:${topic.slug}`, updated);
+    return updated;
+}
+
+// Followers lose the topic from their interests along with the topic itself
+async function deleteTopic(slug) {
+    const followers = await redis.smembers(`topic:${slug}:followers`) || [];
+
+    await Promise.all(followers.map(async (userId) => {
+        const user = await redis.get(`user:${userId}`);
+        if (user && (user.interests || []).includes(slug)) {
+            await redis.set(`user:${userId}`, { ...user, interests: user.interests.filter(topic => topic !== slug) });
+        }
+    }));
+
+    await Promise.all([
+        redis.srem('topics', slug),
+        redis.del(`topic:${slug}`, `topic:${slug}:followers`)
+    ]);
+}
+
+module.exports = {
+    DEFAULT_TOPICS,
+    listTopics,
+    getTopic,
+    topicExists,
+    filterTopicSlugs,
+    createTopic,
+    updateTopic,
+    deleteTopic
+};
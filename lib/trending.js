@@ -0,0 +1,94 @@
+// lib/trending.js - Activity-weighted trending scores for forums
+//
+// forums:trending ranks forums by recent activity. Every message, every
+// poster's first message in a while and every join adds ACTIVITY_WEIGHTS, and
+// weight halves every HALF_LIFE_HOURS. Members are stored as
+// log2(sum(weight * 2^(hours since EPOCH / half-life))), so old activity never
+// has to be rewritten to decay: stored scores compare like decayed totals and
+// currentScore() turns one back into today's value.
+//
+// trending:poster:{forumId}:{userId} marks a recent poster for one half-life.
+const { redis } = require('./storage');
+
+const TRENDING_KEY = 'forums:trending';
+const HALF_LIFE_HOURS = 6;
+const HALF_LIFE_MS = HALF_LIFE_HOURS * 60 * 60 * 1000;
+const EPOCH = Date.UTC(2024, 0, 1);
+
+const ACTIVITY_WEIGHTS = {
+    message: 1,
+    poster: 3,
+    join: 2
+};
+
+// Below this a forum has gone quiet: one new poster's message a day ago
+const MIN_TRENDING_SCORE = 0.25;
+
+function growth(now) {
+    return (now - EPOCH) / HALF_LIFE_MS;
+}
+
+// log2(2^a + 2^b) without overflowing
+function logSum(a, b) {
+    const max = Math.max(a, b);
+    return max + Math.log2(2 ** (a - max) + 2 ** (b - max));
+}
+
+function currentScore(storedScore, now = Date.now()) {
+    return 2 ** (Number(storedScore) - growth(now));
+}
+
+// Read-modify-write, so simultaneous activity can lose a little weight.
+// Trending is a ranking, not a counter, so that's fine.
+async function addActivity(forumId, weight, now = Date.now()) {
+    const previous = await redis.zscore(TRENDING_KEY, forumId);
+    const added = Math.log2(weight) + growth(now);
+    const score = previous === null ? added : logSum(Number(previous), added);
+
+    await redis.zadd(TRENDING_KEY, { score, member: forumId });
+    return currentScore(score, now);
+}
+
+// A message counts extra when its author hasn't posted in the forum lately,
+// so many voices outrank one busy one
+async function recordMessage(forumId, userId) {
+    const isNewPoster = await redis.set(`trending:poster:${forumId}:${userId}`, '1', {
+        nx: true,
+        ex: HALF_LIFE_HOURS * 60 * 60
+    });
+
+    const weight = ACTIVITY_WEIGHTS.message + (isNewPoster ? ACTIVITY_WEIGHTS.poster : 0);
+    return addActivity(forumId, weight);
+}
+
+async function recordJoin(forumId) {
+    return addActivity(forumId, ACTIVITY_WEIGHTS.join);
+}
+
+// { forumId: current score } for every forum with recorded activity
+async function getTrendingScores() {
+    const now = Date.now();
+    const entries = await redis.zrange(TRENDING_KEY, 0, -1, { withScores: true }) || [];
+    const scores = {};
+
+    for (let i = 0; i < entries.length; i += 2) {
+        scores[entries[i]] = currentScore(entries[i + 1], now);
+    }
+
+    return scores;
+}
+
+async function removeTrending(forumId) {
+    await redis.zrem(TRENDING_KEY, forumId);
+}
+
+module.exports = {
+    HALF_LIFE_HOURS,
+    ACTIVITY_WEIGHTS,
+    MIN_TRENDING_SCORE,
+    currentScore,
+    recordMessage,
+    recordJoin,
+    getTrendingScores,
+    removeTrending
+};
@@ -0,0 +1,66 @@
+// lib/typing.js - Per-forum typing state
+//
+// forum:{id}:typing is a sorted set of user IDs scored by when their typing
+// status expires, so expired members drop out of a range read without any
+// key scans. Display names live alongside in the forum:{id}:typing:names hash.
+const { redis } = require('./storage');
+
+// A user counts as typing for 5 seconds after their last keystroke
+const TYPING_TTL_MS = 5000;
+
+// Both keys disappear once nobody has typed in the forum for a minute
+const TYPING_KEY_TTL_SECONDS = 60;
+
+async function setTyping(forumId, userId, userName) {
+    const now = Date.now();
+    const key = `forum:${forumId}:typing`;
+
+    await Promise.all([
+        redis.zremrangebyscore(key, '-inf', now),
+        redis.zadd(key, { score: now + TYPING_TTL_MS, member: userId }),
+        redis.hset(`${key}:names`, { [userId]: userName })
+    ]);
+
+    await Promise.all([
+        redis.expire(key, TYPING_KEY_TTL_SECONDS),
+        redis.expire(`${key}:names`, TYPING_KEY_TTL_SECONDS)
+    ]);
+}
+
+async function clearTyping(forumId, userId) {
+    const key = `forum:${forumId}:typing`;
+
+    await Promise.all([
+        redis.zrem(key, userId),
+        redis.hdel(`${key}:names`, userId)
+    ]);
+}
+
+// IDs of users currently typing in the forum, sorted for cheap comparison
+async function getTypingUserIds(forumId) {
+    const userIds = await redis.zrange(`forum:${forumId}:typing`, Date.now(), '+inf', { byScore: true }) || [];
+    return userIds.map(String).sort();
+}
+
+// Map of userId -> display name for the given typing users
+async function getTypingNames(forumId, userIds) {
+    if (userIds.length === 0) {
+        return {};
+    }
+
+    const names = await redis.hmget(`forum:${forumId}:typing:names`, ...userIds) || {};
+    const typingUsers = {};
+
+    for (const userId of userIds) {
+        typingUsers[userId] = names[userId] || 'Someone';
+    }
+
+    return typingUsers;
+}
+
+module.exports = {
+    setTyping,
+    clearTyping,
+    getTypingUserIds,
+    getTypingNames
+};
@@ -13,16 +13,109 @@ function debounce(func, wait) {
     };
 }
 
+// Session token issued by /api/auth, sent with every API request
+function getSessionToken() {
+    return appState.currentUser?.session?.token || null;
+}
+
+function apiFetch(url, options = {}) {
+    const headers = { ...(options.headers || {}) };
+    const token = getSessionToken();
+    
+    if (token) {
+        headers['Authorization'] = `Bearer ${token}`;
+    }
+    
+    return fetch(url, { ...options, headers });
+}
+
+// Minimal SSE client over fetch. EventSource cannot send an Authorization
+// header, so the stream is read and split into events by hand.
+function openEventStream(url, { headers = {}, onOpen, onMessage, onError }) {
+    const controller = new AbortController();
+    
+    (async () => {
+        try {
+            const response = await fetch(url, {
+                headers: { 'Accept': 'text/event-stream', ...headers },
+                cache: 'no-store',
+                signal: controller.signal
+            });
+            
+            if (!response.ok || !response.body) {
+                const error = new Error(`Event stream failed with status ${response.status}`);
+                error.status = response.status;
+                throw error;
+            }
+            
+            if (onOpen) onOpen();
+            
+            const reader = response.body.getReader();
+            const decoder = new TextDecoder();
+            let buffer = '';
+            
+            while (true) {
+                const { value, done } = await reader.read();
+                if (done) break;
+                
+                buffer += decoder.decode(value, { stream: true });
+                const frames = buffer.split(/\r?\n\r?\n/);
+                buffer = frames.pop();
+                
+                frames.forEach(frame => {
+                    const event = { data: '', lastEventId: null };
+                    const dataLines = [];
+                    
+                    frame.split(/\r?\n/).forEach(line => {
+                        if (line.startsWith(':')) return; // Comment / heartbeat
+                        
+                        const separator = line.indexOf(':');
+                        const field = separator === -1 ? line : line.slice(0, separator);
+                        const value = separator === -1 ? '' : line.slice(separator + 1).replace(/^ /, '');
+                        
+                        if (field === 'data') dataLines.push(value);
+                        if (field === 'id') event.lastEventId = value;
+                    });
+                    
+                    if (dataLines.length > 0 && onMessage) {
+                        event.data = dataLines.join('\n');
+                        onMessage(event);
+                    }
+                });
+            }
+            
+            throw new Error('Event stream closed');
+        } catch (error) {
+            if (!controller.signal.aborted && onError) {
+                onError(error);
+            }
+        }
+    })();
+    
+    return {
+        close: () => controller.abort()
+    };
+}
+
 // App State with enhanced features
 const appState = {
     currentUser: null,
     currentRoom: null,
+    pendingInvite: null,
+    topics: [],
     forums: [],
     messages: {},
     messageCount: 0,
     discussionsJoined: new Set(),
     eventSource: null,
+    lastEventId: null,
     typingUsers: {},
+    messagePaging: { forumId: null, cursor: null, hasMore: false, loading: false },
+    currentThread: null,
+    reactions: {},
+    participants: [],
+    notifications: { items: [], unreadCount: 0 },
+    mentionSuggestions: { items: [], activeIndex: 0, start: -1 },
     isOnline: navigator.onLine,
     pendingMessages: [],
     keyboardShortcuts: new Map(),
@@ -64,6 +157,8 @@ document.addEventListener('DOMContentLoaded', () => {
         initializeEventListeners();
         initializeKeyboardShortcuts();
         initializeOfflineSupport();
+        appState.pendingInvite = readInviteLink();
+        loadTopics();
         loadUserSession();
         
         // Test API connectivity
@@ -107,7 +202,7 @@ async function testAPIConnectivity() {
         
         // Test the auth endpoint
         console.log('Testing /api/auth...');
-        const response = await fetch('/api/auth', {
+        const response = await apiFetch('/api/auth', {
             method: 'GET',
             headers: { 'Content-Type': 'application/json' }
         });
@@ -140,6 +235,89 @@ function initializeEventListeners() {
             console.error('Join form not found!');
         }
         
+        // Account recovery
+        const recoverForm = document.getElementById('recoverForm');
+        if (recoverForm) {
+            recoverForm.addEventListener('submit', handleRecover);
+        }
+        
+        const toggleRecoverBtn = document.getElementById('toggleRecoverBtn');
+        if (toggleRecoverBtn) {
+            toggleRecoverBtn.addEventListener('click', toggleRecoverForm);
+        }
+        
+        const copyRecoveryCodesBtn = document.getElementById('copyRecoveryCodesBtn');
+        if (copyRecoveryCodesBtn) {
+            copyRecoveryCodesBtn.addEventListener('click', copyRecoveryCodes);
+        }
+        
+        const closeRecoveryCodesBtn = document.getElementById('closeRecoveryCodesBtn');
+        if (closeRecoveryCodesBtn) {
+            closeRecoveryCodesBtn.addEventListener('click', closeRecoveryCodes);
+        }
+        
+        const regenerateRecoveryCodesBtn = document.getElementById('regenerateRecoveryCodesBtn');
+        if (regenerateRecoveryCodesBtn) {
+            regenerateRecoveryCodesBtn.addEventListener('click', regenerateRecoveryCodes);
+        }
+        
+        // Forum settings for hosts
+        const forumSettingsBtn = document.getElementById('forumSettingsBtn');
+        if (forumSettingsBtn) {
+            forumSettingsBtn.addEventListener('click', openForumSettings);
+        }
+        
+        const forumSettingsForm = document.getElementById('forumSettingsForm');
+        if (forumSettingsForm) {
+            forumSettingsForm.addEventListener('submit', handleForumSettingsSave);
+        }
+        
+        const cancelForumSettingsBtn = document.getElementById('cancelForumSettingsBtn');
+        if (cancelForumSettingsBtn) {
+            cancelForumSettingsBtn.addEventListener('click', closeForumSettings);
+        }
+        
+        const deleteForumBtn = document.getElementById('deleteForumBtn');
+        if (deleteForumBtn) {
+            deleteForumBtn.addEventListener('click', deleteCurrentForum);
+        }
+        
+        // Forum description, rules and accepting them
+        const roomInfoBtn = document.getElementById('roomInfoBtn');
+        if (roomInfoBtn) {
+            roomInfoBtn.addEventListener('click', toggleRoomInfo);
+        }
+        
+        const acceptRulesBtn = document.getElementById('acceptRulesBtn');
+        if (acceptRulesBtn) {
+            acceptRulesBtn.addEventListener('click', acceptRules);
+        }
+        
+        const dismissRulesBtn = document.getElementById('dismissRulesBtn');
+        if (dismissRulesBtn) {
+            dismissRulesBtn.addEventListener('click', closeRulesModal);
+        }
+        
+        const createInviteBtn = document.getElementById('createInviteBtn');
+        if (createInviteBtn) {
+            createInviteBtn.addEventListener('click', createInviteLink);
+        }
+        
+        const copyInviteLinkBtn = document.getElementById('copyInviteLinkBtn');
+        if (copyInviteLinkBtn) {
+            copyInviteLinkBtn.addEventListener('click', copyInviteLink);
+        }
+        
+        const exportAccountBtn = document.getElementById('exportAccountBtn');
+        if (exportAccountBtn) {
+            exportAccountBtn.addEventListener('click', exportAccount);
+        }
+        
+        const deleteAccountBtn = document.getElementById('deleteAccountBtn');
+        if (deleteAccountBtn) {
+            deleteAccountBtn.addEventListener('click', deleteAccount);
+        }
+        
         // Navigation with enhanced accessibility
         document.querySelectorAll('.nav-item').forEach(btn => {
             btn.addEventListener('click', () => navigateToScreen(btn.dataset.screen));
@@ -178,20 +356,54 @@ function initializeEventListeners() {
         
         if (messageInput) {
             messageInput.addEventListener('input', handleTyping);
+            messageInput.addEventListener('input', updateMentionSuggestions);
             messageInput.addEventListener('keydown', handleMessageKeydown);
+            messageInput.addEventListener('blur', () => setTimeout(hideMentionSuggestions, 150));
         }
         
-        // Topic Filters with enhanced UX
-        document.querySelectorAll('.topic-filter').forEach(filter => {
-            filter.addEventListener('click', () => filterByTopic(filter.dataset.topic));
-        });
+        // Threads
+        const threadReplyForm = document.getElementById('threadReplyForm');
+        const closeThreadBtn = document.getElementById('closeThreadBtn');
+        
+        if (threadReplyForm) {
+            threadReplyForm.addEventListener('submit', sendThreadReply);
+        }
+        
+        if (closeThreadBtn) {
+            closeThreadBtn.addEventListener('click', closeThread);
+        }
+        
+        // Load older history when scrolling to the top of the room
+        const messagesContainer = document.getElementById('messagesContainer');
+        if (messagesContainer) {
+            messagesContainer.addEventListener('scroll', debounce(handleMessagesScroll, 100));
+        }
+        
+        // Topic Filters with enhanced UX; the topic buttons are rendered later
+        const topicFilters = document.getElementById('topicFilters');
+        if (topicFilters) {
+            topicFilters.addEventListener('click', (e) => {
+                const filter = e.target.closest('.topic-filter');
+                if (filter) filterByTopic(filter.dataset.topic);
+            });
+        }
         
         // Profile
+        const profileForm = document.getElementById('profileForm');
+        if (profileForm) {
+            profileForm.addEventListener('submit', handleProfileSave);
+        }
+        
         const signOutBtn = document.getElementById('signOutBtn');
         if (signOutBtn) {
             signOutBtn.addEventListener('click', signOut);
         }
         
+        const revokeAllSessionsBtn = document.getElementById('revokeAllSessionsBtn');
+        if (revokeAllSessionsBtn) {
+            revokeAllSessionsBtn.addEventListener('click', revokeAllSessions);
+        }
+        
         // Search functionality
         const searchBtn = document.getElementById('searchBtn');
         if (searchBtn) {
@@ -204,6 +416,41 @@ function initializeEventListeners() {
             notificationBtn.addEventListener('click', toggleNotifications);
         }
         
+        const markAllReadBtn = document.getElementById('markAllReadBtn');
+        if (markAllReadBtn) {
+            markAllReadBtn.addEventListener('click', markAllNotificationsRead);
+        }
+        
+        // Any rendered user name opens that user's profile sheet. Listening in
+        // the capture phase keeps the click from also opening a forum card.
+        document.addEventListener('click', (e) => {
+            const link = e.target.closest('.user-link[data-user-id]');
+            if (link) {
+                e.preventDefault();
+                e.stopPropagation();
+                openProfileSheet(link.dataset.userId);
+            }
+        }, true);
+        
+        const closeProfileSheetBtn = document.getElementById('closeProfileSheetBtn');
+        if (closeProfileSheetBtn) {
+            closeProfileSheetBtn.addEventListener('click', closeProfileSheet);
+        }
+        
+        const profileSheet = document.getElementById('profileSheet');
+        if (profileSheet) {
+            profileSheet.addEventListener('click', (e) => {
+                if (e.target === profileSheet) closeProfileSheet();
+            });
+        }
+        
+        // Close the notification panel when clicking elsewhere
+        document.addEventListener('click', (e) => {
+            if (!e.target.closest('#notificationPanel, #notificationBtn')) {
+                closeNotifications();
+            }
+        });
+        
         // Search input in discover screen
         const searchInput = document.querySelector('#discoverScreen input[type="search"]');
         if (searchInput && typeof handleSearch === 'function' && typeof debounce === 'function') {
@@ -218,6 +465,9 @@ function initializeEventListeners() {
         document.addEventListener('keydown', (e) => {
             if (e.key === 'Escape') {
                 closeCreateModal();
+                closeThread();
+                closeNotifications();
+                closeProfileSheet();
             }
         });
         
@@ -265,6 +515,10 @@ function initializeKeyboardShortcuts() {
 
 // Enhanced message input handling
 function handleMessageKeydown(e) {
+    if (handleMentionKeydown(e)) {
+        return;
+    }
+    
     if (e.key === 'Enter' && !e.shiftKey) {
         e.preventDefault();
         sendMessage(new Event('submit'));
@@ -338,31 +592,48 @@ function connectToSSE() {
     performance.mark('sse-connect-start');
     
     try {
-        appState.eventSource = new EventSource(`/api/sse?userId=${appState.currentUser.id}`);
+        const headers = { 'Authorization': `Bearer ${getSessionToken()}` };
         
-        appState.eventSource.onmessage = (event) => {
-            try {
-                const data = JSON.parse(event.data);
-                handleServerEvent(data);
-            } catch (error) {
-                console.error('Failed to parse SSE message:', error);
-            }
-        };
+        // Resume from the last event we saw so nothing sent during the
+        // reconnect delay is lost; the server replays everything after it.
+        if (appState.lastEventId) {
+            headers['Last-Event-ID'] = appState.lastEventId;
+        }
         
-        appState.eventSource.onerror = (error) => {
-            console.error('SSE connection error:', error);
-            setTimeout(() => {
-                if (appState.currentUser) {
-                    connectToSSE();
+        appState.eventSource = openEventStream('/api/sse', {
+            headers,
+            onMessage: (event) => {
+                if (event.lastEventId) {
+                    appState.lastEventId = event.lastEventId;
                 }
-            }, 5000);
-        };
-        
-        appState.eventSource.onopen = () => {
-            console.log('SSE connection established');
-            performance.mark('sse-connect-end');
-            appState.performanceMetrics.connectionTime = performance.measure('sse-connection', 'sse-connect-start', 'sse-connect-end');
-        };
+                
+                try {
+                    const data = JSON.parse(event.data);
+                    handleServerEvent(data);
+                } catch (error) {
+                    console.error('Failed to parse SSE message:', error);
+                }
+            },
+            onError: (error) => {
+                console.error('SSE connection error:', error);
+                
+                if (error.status === 401) {
+                    console.log('Session expired, not reconnecting');
+                    return;
+                }
+                
+                setTimeout(() => {
+                    if (appState.currentUser) {
+                        connectToSSE();
+                    }
+                }, 5000);
+            },
+            onOpen: () => {
+                console.log('SSE connection established');
+                performance.mark('sse-connect-end');
+                appState.performanceMetrics.connectionTime = performance.measure('sse-connection', 'sse-connect-start', 'sse-connect-end');
+            }
+        });
     } catch (error) {
         console.error('Failed to establish SSE connection:', error);
         setTimeout(() => {
@@ -383,7 +654,11 @@ function handleServerEvent(data) {
         switch(data.type) {
             case 'message':
                 if (data.roomId === appState.currentRoom?.id && data.message) {
-                    displayMessage(data.message);
+                    if (data.message.parentId) {
+                        handleThreadReply(data.message, data.replyCount);
+                    } else {
+                        displayMessage(data.message);
+                    }
                 }
                 break;
             case 'message_edited':
@@ -391,24 +666,57 @@ function handleServerEvent(data) {
                     updateMessageInUI(data.message);
                 }
                 break;
+            case 'message_reacted':
+                if (data.roomId === appState.currentRoom?.id && data.messageId) {
+                    handleMessageReacted(data);
+                }
+                break;
             case 'message_deleted':
                 if (data.roomId === appState.currentRoom?.id && data.messageId) {
                     removeMessageFromUI(data.messageId);
+                    
+                    if (data.parentId && data.replyCount !== undefined) {
+                        updateReplyCount(data.parentId, data.replyCount);
+                    }
+                    
+                    if (data.messageId === appState.currentThread) {
+                        closeThread();
+                    }
                 }
                 break;
             case 'user_joined':
                 if (data.roomId === appState.currentRoom?.id) {
                     addSystemMessage(`${data.userName || 'Someone'} joined the discussion`);
                     updateParticipantCount(data.participants);
+                    loadParticipants(data.roomId);
                 }
                 break;
             case 'user_left':
                 if (data.roomId === appState.currentRoom?.id) {
                     addSystemMessage(`${data.userName || 'Someone'} left the discussion`);
                     updateParticipantCount(data.participants);
+                    loadParticipants(data.roomId);
+                }
+                break;
+            case 'mention':
+                handleMention(data);
+                break;
+            case 'notification':
+                handleNotification(data);
+                break;
+            case 'notifications_read':
+                applyNotificationsRead(data);
+                break;
+            case 'cohosts_updated':
+                // Participants carry the roles, and our own permissions come along
+                if (data.roomId === appState.currentRoom?.id) {
+                    loadParticipants(data.roomId);
                 }
                 break;
-            case 'typing':
+            case 'session_revoked':
+                handleSessionRevoked(data);
+                break;
+            case 'typing_update':
                 handleTypingIndicator(data);
                 break;
             case 'forum_created':
@@ -417,6 +725,21 @@ function handleServerEvent(data) {
                     displayForums();
                 }
                 break;
+            case 'forum_updated':
+                if (data.forum) {
+                    handleForumUpdated(data.forum, data.changes);
+                }
+                break;
+            case 'forum_deleted':
+                handleForumDeleted(data);
+                break;
+            case 'forum_hidden':
+                handleForumHidden(data.forumId);
+                break;
+            case 'topics_updated':
+                appState.topics = data.topics || [];
+                renderTopics();
+                break;
             default:
                 console.log('Unknown event type:', data.type);
         }
@@ -451,7 +774,7 @@ async function handleJoin(e) {
     }
     
     const interests = [];
-    document.querySelectorAll('.interest-tag input:checked').forEach(input => {
+    document.querySelectorAll('#joinForm .interest-tag input:checked').forEach(input => {
         interests.push(input.value);
     });
     
@@ -460,7 +783,7 @@ async function handleJoin(e) {
     try {
         console.log('Attempting to join with:', { displayNameValue, aboutMeValue, interests });
         
-        const response = await fetch('https://forumapp-tcwn-cwr9xxbrg-nick-robinsons-projects-926b8386.vercel.app/api/auth-simple', {
+        const response = await fetch('/api/auth', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({ displayName: displayNameValue, aboutMe: aboutMeValue, interests })
@@ -508,12 +831,15 @@ async function handleJoin(e) {
         
         console.log('User created successfully:', user);
         
-        appState.currentUser = user;
-        localStorage.setItem('forumUser', JSON.stringify(user));
+        // Recovery codes are shown once and never stored on the device
+        const { recoveryCodes, ...newUser } = user;
+        appState.currentUser = newUser;
+        localStorage.setItem('forumUser', JSON.stringify(newUser));
         
         showMainScreen();
         connectToSSE();
         loadForums();
+        showRecoveryCodes(recoveryCodes || []);
     } catch (error) {
         console.error('Join failed:', error);
         alert(`Sign-in failed: ${error.message}`);
@@ -527,22 +853,26 @@ async function loadUserSession() {
         console.log('Found saved user:', user);
         
         try {
-            const response = await fetch(`/api/auth?userId=${user.id}`);
+            appState.currentUser = user;
+            const response = await apiFetch('/api/auth');
             console.log('Session check response status:', response.status);
             
             if (response.ok) {
                 const updatedUser = await response.json();
                 console.log('Session restored successfully:', updatedUser);
                 appState.currentUser = updatedUser;
+                localStorage.setItem('forumUser', JSON.stringify(updatedUser));
                 showMainScreen();
                 connectToSSE();
                 loadForums();
             } else {
                 console.log('Session invalid, removing from localStorage');
+                appState.currentUser = null;
                 localStorage.removeItem('forumUser');
             }
         } catch (error) {
             console.error('Session check failed:', error);
+            appState.currentUser = null;
             localStorage.removeItem('forumUser');
         }
     } else {
@@ -553,10 +883,9 @@ async function loadUserSession() {
 async function signOut() {
     try {
         if (appState.currentUser) {
-            const response = await fetch('/api/auth', {
+            const response = await apiFetch('/api/auth', {
                 method: 'DELETE',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ userId: appState.currentUser.id })
+                headers: { 'Content-Type': 'application/json' }
             });
             
             if (!response.ok) {
@@ -595,12 +924,32 @@ function showMainScreen() {
         if (mainHeader) mainHeader.classList.remove('hidden');
         if (bottomNav) bottomNav.classList.remove('hidden');
         
+        applyPreferences(appState.currentUser?.preferences);
         updateProfile();
+        loadNotifications();
+        
+        // Signed in through an invite link: go straight to the forum
+        if (appState.pendingInvite) {
+            const { forumId, token } = appState.pendingInvite;
+            appState.pendingInvite = null;
+            goToForum(forumId, token);
+        }
     } catch (error) {
         console.error('Error showing main screen:', error);
     }
 }
 
+// Forum links look like /?forum={id}, invite links add &invite={token}. The
+// query is dropped from the address bar so a reload doesn't reuse the invite.
+function readInviteLink() {
+    const params = new URLSearchParams(window.location.search);
+    const forumId = params.get('forum');
+    if (!forumId) return null;
+    
+    history.replaceState(null, '', window.location.pathname);
+    return { forumId, token: params.get('invite') || undefined };
+}
+
 function navigateToScreen(screen) {
     try {
         const screens = ['discussionsScreen', 'discoverScreen', 'activityScreen', 'profileScreen'];
@@ -633,8 +982,14 @@ function navigateToScreen(screen) {
         }
         
         if (screen === 'discover') {
+            loadRecommendedForums();
             loadFeaturedForums();
         }
+        
+        if (screen === 'profile') {
+            loadSessions();
+            loadRecoveryStatus();
+        }
     } catch (error) {
         console.error('Error navigating to screen:', error);
     }
@@ -643,7 +998,7 @@ function navigateToScreen(screen) {
 // Forum Management
 async function loadForums() {
     try {
-        const response = await fetch('/api/forums');
+        const response = await apiFetch('/api/forums');
         
         if (!response.ok) {
             console.error('Failed to load forums:', response.status);
@@ -692,15 +1047,16 @@ function displayForums(filter = 'all') {
             forumCard.className = 'forum-card glass-morphism p-4 rounded-xl cursor-pointer';
             forumCard.innerHTML = `
                 <div class="flex items-start justify-between mb-2">
-                    <h3 class="font-semibold text-lg flex-1">${forum.title}</h3>
+                    <h3 class="font-semibold text-lg flex-1">${forum.locked ? '<i class="fas fa-lock text-sm text-gray-400 mr-1" title="Locked"></i>' : ''}${visibilityIcon(forum)}${escapeHtml(forum.title)}</h3>
                     ${forum.participants > 0 ? '<span class="text-xs bg-green-500 text-white px-2 py-1 rounded-full">LIVE</span>' : ''}
                 </div>
                 <div class="flex items-center justify-between text-sm text-gray-400">
-                    <span><i class="fas fa-user mr-1"></i>${forum.host || 'Unknown'}</span>
+                    <span><i class="fas fa-user mr-1"></i>${userLink(forum.hostId, forum.host || 'Unknown')}</span>
                     <span><i class="fas fa-users mr-1"></i>${forum.participants || 0}</span>
                 </div>
+                ${forum.description ? `<p class="text-sm text-gray-400 mt-1 line-clamp-2">${escapeHtml(forum.description)}</p>` : ''}
                 <div class="mt-2">
-                    <span class="text-xs bg-gray-800 px-2 py-1 rounded-full">${forum.topic || 'general'}</span>
+                    <span class="text-xs bg-gray-800 px-2 py-1 rounded-full">${escapeHtml(topicName(forum.topic))}</span>
                 </div>
             `;
             
@@ -712,6 +1068,96 @@ function displayForums(filter = 'all') {
     }
 }
 
+function visibilityIcon(forum) {
+    if (forum.visibility === 'private') {
+        return '<i class="fas fa-user-lock text-sm text-gray-400 mr-1" title="Private"></i>';
+    }
+    if (forum.visibility === 'unlisted') {
+        return '<i class="fas fa-link text-sm text-gray-400 mr-1" title="Unlisted"></i>';
+    }
+    return '';
+}
+
+// Topic catalog
+async function loadTopics() {
+    try {
+        const response = await apiFetch('/api/topics');
+        
+        if (!response.ok) {
+            console.error('Failed to load topics:', response.status);
+            return;
+        }
+        
+        const data = await response.json();
+        appState.topics = data.topics || [];
+        renderTopics();
+    } catch (error) {
+        console.error('Failed to load topics:', error);
+    }
+}
+
+function topicName(slug) {
+    const topic = appState.topics.find(t => t.slug === slug);
+    return topic ? topic.name : (slug || 'general');
+}
+
+// Filters, topic selects and interest pickers all come from the catalog
+function renderTopics() {
+    const topics = appState.topics;
+    
+    const topicFilters = document.getElementById('topicFilters');
+    if (topicFilters) {
+        const active = topicFilters.querySelector('.topic-filter.bg-purple-600')?.dataset.topic;
+        topicFilters.querySelectorAll('.topic-filter[data-catalog]').forEach(button => button.remove());
+        
+        topics.forEach(topic => {
+            const button = document.createElement('button');
+            button.className = 'topic-filter px-4 py-1.5 bg-gray-800 rounded-full text-sm whitespace-nowrap transition hover:bg-gray-700';
+            button.dataset.topic = topic.slug;
+            button.dataset.catalog = '';
+            button.setAttribute('role', 'tab');
+            button.setAttribute('aria-selected', String(active === topic.slug));
+            button.title = topic.description || '';
+            button.innerHTML = `<i class="${escapeHtml(topic.icon)} mr-1" style="color: ${escapeHtml(topic.color)}"></i>${escapeHtml(topic.name)}`;
+            if (active === topic.slug) {
+                button.classList.add('bg-purple-600', 'text-white');
+                button.classList.remove('bg-gray-800');
+            }
+            topicFilters.appendChild(button);
+        });
+    }
+    
+    ['discussionTopic', 'forumSettingsTopic'].forEach(id => {
+        const select = document.getElementById(id);
+        if (!select) return;
+        
+        const selected = select.value;
+        select.innerHTML = topics
+            .map(topic => `<option value="${escapeHtml(topic.slug)}">${escapeHtml(topic.name)}</option>`)
+            .join('');
+        if (topics.some(topic => topic.slug === selected)) {
+            select.value = selected;
+        }
+    });
+    
+    // Keep what was ticked on the welcome screen, the profile form follows the user
+    const joinChecked = Array.from(document.querySelectorAll('#interestOptions input:checked'), input => input.value);
+    renderInterestOptions('interestOptions', '', joinChecked);
+    renderInterestOptions('profileInterestOptions', 'profileInterest', appState.currentUser?.interests || []);
+}
+
+function renderInterestOptions(containerId, name, checked) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+    
+    container.innerHTML = appState.topics.map(topic => `
+        <label class="interest-tag" title="${escapeHtml(topic.description || '')}">
+            <input type="checkbox" class="hidden"${name ? ` name="${name}"` : ''} value="${escapeHtml(topic.slug)}" aria-label="${escapeHtml(topic.name)}"${checked.includes(topic.slug) ? ' checked' : ''}>
+            <span class="px-3 py-1 rounded-full text-sm cursor-pointer transition bg-gray-800 hover:bg-purple-600"><i class="${escapeHtml(topic.icon)} mr-1" aria-hidden="true"></i>${escapeHtml(topic.name)}</span>
+        </label>
+    `).join('');
+}
+
 function filterByTopic(topic) {
     try {
         document.querySelectorAll('.topic-filter').forEach(btn => {
@@ -735,19 +1181,18 @@ async function loadForumsWithFilter(topic = 'all') {
         let url = '/api/forums';
         const params = new URLSearchParams();
         
-        if (topic && topic !== 'all') {
-            params.append('topic', topic);
-        }
-        
+        // Trending is a tab of its own, not a topic to filter by
         if (topic === 'trending') {
             params.append('trending', 'true');
+        } else if (topic && topic !== 'all') {
+            params.append('topic', topic);
         }
         
         if (params.toString()) {
             url += '?' + params.toString();
         }
         
-        const response = await fetch(url);
+        const response = await apiFetch(url);
         
         if (!response.ok) {
             console.error('Failed to load forums:', response.status);
@@ -762,12 +1207,12 @@ async function loadForumsWithFilter(topic = 'all') {
     }
 }
 
-async function joinForum(forum) {
+async function joinForum(forum, inviteToken) {
     try {
-        const response = await fetch(`/api/forums/${forum.id}/join`, {
+        const response = await apiFetch(`/api/forums/${forum.id}/join`, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ userId: appState.currentUser.id })
+            body: JSON.stringify({ inviteToken })
         });
         
         if (!response.ok) {
@@ -780,16 +1225,22 @@ async function joinForum(forum) {
         const updatedForum = await response.json();
         appState.currentRoom = updatedForum;
         appState.discussionsJoined.add(forum.id);
+        applyRoomPermissions(updatedForum.permissions);
+        applyRoomState(updatedForum);
         
-        document.getElementById('roomTitle').textContent = updatedForum.title;
-        document.getElementById('roomTopic').textContent = updatedForum.topic;
         document.getElementById('participantCount').textContent = updatedForum.participants;
         
         document.getElementById('discussionsScreen').classList.add('hidden');
         document.getElementById('discussionRoom').classList.remove('hidden');
         document.getElementById('bottomNav').classList.add('hidden');
         
+        // First visit (or the rules changed since): show the rules up front
+        if (!updatedForum.rulesAcknowledged) {
+            showRulesModal();
+        }
+        
         loadMessages(updatedForum.id);
+        loadParticipants(updatedForum.id);
     } catch (error) {
         console.error('Failed to join forum:', error);
         alert('Failed to join forum. Please try again.');
@@ -799,10 +1250,9 @@ async function joinForum(forum) {
 async function exitRoom() {
     try {
         if (appState.currentRoom && appState.currentUser) {
-            const response = await fetch(`/api/forums/${appState.currentRoom.id}/leave`, {
+            const response = await apiFetch(`/api/forums/${appState.currentRoom.id}/leave`, {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ userId: appState.currentUser.id })
+                headers: { 'Content-Type': 'application/json' }
             });
             
             if (!response.ok) {
@@ -810,17 +1260,7 @@ async function exitRoom() {
             }
         }
         
-        const discussionRoom = document.getElementById('discussionRoom');
-        const discussionsScreen = document.getElementById('discussionsScreen');
-        const bottomNav = document.getElementById('bottomNav');
-        const messagesContainer = document.getElementById('messagesContainer');
-        
-        if (discussionRoom) discussionRoom.classList.add('hidden');
-        if (discussionsScreen) discussionsScreen.classList.remove('hidden');
-        if (bottomNav) bottomNav.classList.remove('hidden');
-        if (messagesContainer) messagesContainer.innerHTML = '';
-        
-        appState.currentRoom = null;
+        closeRoomView();
         loadForums();
     } catch (error) {
         console.error('Error exiting room:', error);
@@ -837,10 +1277,55 @@ async function exitRoom() {
     }
 }
 
+// Back to the forum list, dropping everything tied to the open room
+function closeRoomView() {
+    const discussionRoom = document.getElementById('discussionRoom');
+    const discussionsScreen = document.getElementById('discussionsScreen');
+    const bottomNav = document.getElementById('bottomNav');
+    const messagesContainer = document.getElementById('messagesContainer');
+    
+    if (discussionRoom) discussionRoom.classList.add('hidden');
+    if (discussionsScreen) discussionsScreen.classList.remove('hidden');
+    if (bottomNav) bottomNav.classList.remove('hidden');
+    if (messagesContainer) messagesContainer.innerHTML = '';
+    
+    closeThread();
+    closeRulesModal();
+    hideMentionSuggestions();
+    appState.currentRoom = null;
+    appState.participants = [];
+    applyRoomPermissions(null);
+    appState.typingUsers = {};
+    updateTypingIndicator();
+}
+
+function handleForumDeleted(data) {
+    appState.forums = appState.forums.filter(forum => forum.id !== data.forumId);
+    appState.discussionsJoined.delete(data.forumId);
+    displayForums();
+    
+    if (data.forumId === appState.currentRoom?.id) {
+        closeForumSettings();
+        closeRoomView();
+        showToast(`"${data.title || 'This forum'}" was deleted`, 'info');
+    }
+}
+
+// A public forum went unlisted or private. Whoever is in it hears about the
+// change through the room and keeps it.
+function handleForumHidden(forumId) {
+    if (forumId === appState.currentRoom?.id) return;
+    
+    appState.forums = appState.forums.filter(forum => forum.id !== forumId);
+    displayForums();
+}
+
 // Message Handling
 async function loadMessages(forumId) {
     try {
-        const response = await fetch(`/api/messages?forumId=${forumId}`);
+        appState.messagePaging = { forumId, cursor: null, hasMore: false, loading: true };
+        
+        const response = await apiFetch(`/api/messages?forumId=${forumId}`);
         
         if (!response.ok) {
             console.error('Failed to load messages:', response.status);
@@ -850,6 +1335,9 @@ async function loadMessages(forumId) {
         const data = await response.json();
         const messages = data.messages || data; // Handle both response formats
         
+        appState.messagePaging.cursor = data.nextCursor || null;
+        appState.messagePaging.hasMore = Boolean(data.hasMore);
+        
         const container = document.getElementById('messagesContainer');
         container.innerHTML = '';
         
@@ -865,6 +1353,61 @@ async function loadMessages(forumId) {
     } catch (error) {
         console.error('Failed to load messages:', error);
         addSystemMessage('Failed to load messages. Please try again.');
+    } finally {
+        appState.messagePaging.loading = false;
+    }
+}
+
+function handleMessagesScroll() {
+    const container = document.getElementById('messagesContainer');
+    if (container && container.scrollTop < 80) {
+        loadOlderMessages();
+    }
+}
+
+// Prepends the page before the oldest loaded message, keeping the
+// visible messages where they are. A failed page leaves the cursor alone,
+// so scrolling back up tries it again.
+async function loadOlderMessages() {
+    const paging = appState.messagePaging;
+    const forumId = appState.currentRoom?.id;
+    
+    if (!forumId || paging.forumId !== forumId || !paging.hasMore || !paging.cursor || paging.loading) {
+        return;
+    }
+    
+    paging.loading = true;
+    
+    try {
+        const params = new URLSearchParams({ forumId, before: paging.cursor });
+        const response = await apiFetch(`/api/messages?${params.toString()}`);
+        
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            showToast(errorData.error || 'Failed to load older messages', 'error');
+            return;
+        }
+        
+        const data = await response.json();
+        
+        // The user may have left the room while the page was loading
+        if (appState.currentRoom?.id !== forumId) return;
+        
+        const container = document.getElementById('messagesContainer');
+        const previousHeight = container.scrollHeight;
+        const previousTop = container.scrollTop;
+        
+        (data.messages || []).slice().reverse().forEach(msg => displayMessage(msg, { prepend: true }));
+        
+        container.scrollTop = container.scrollHeight - previousHeight + previousTop;
+        
+        paging.cursor = data.nextCursor || null;
+        paging.hasMore = Boolean(data.hasMore);
+    } catch (error) {
+        console.error('Failed to load older messages:', error);
+        showToast('Failed to load older messages', 'error');
+    } finally {
+        paging.loading = false;
     }
 }
 
@@ -875,16 +1418,20 @@ async function sendMessage(e) {
     
     if (!text || !appState.currentRoom) return;
     
+    if (!appState.currentRoom.rulesAcknowledged) {
+        showRulesModal();
+        return;
+    }
+    
     input.value = '';
     input.disabled = true;
     
     try {
-        const response = await fetch('/api/messages', {
+        const response = await apiFetch('/api/messages', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({
                 forumId: appState.currentRoom.id,
-                userId: appState.currentUser.id,
                 text
             })
         });
@@ -906,31 +1453,51 @@ async function sendMessage(e) {
     }
 }
 
-function displayMessage(message) {
+function displayMessage(message, options = {}) {
     if (!message || !message.text) {
         console.error('Invalid message data:', message);
         return;
     }
     
-    const container = document.getElementById('messagesContainer');
+    const container = options.container || document.getElementById('messagesContainer');
     if (!container) {
         console.error('Messages container not found');
         return;
     }
     
-    const isOwn = message.userId === appState.currentUser?.id;
+    // Replayed SSE events can repeat messages that are already on screen
+    if (container.querySelector(`[data-message-id="${message.id}"]`)) {
+        return;
+    }
+    
+    // Messages of deleted accounts have no author and are nobody's own
+    const isOwn = Boolean(message.userId) && message.userId === appState.currentUser?.id;
+    
+    // Hosts and moderators get a delete button on everyone's messages, deleted
+    // accounts' included; it is only visible while #discussionRoom has the
+    // can-moderate class, and the server checks the permission again
+    const showModerateBtn = !isOwn;
+    
+    const mentionsMe = Boolean(appState.currentUser && (message.mentions || []).includes(appState.currentUser.id));
     
     const messageEl = document.createElement('div');
-    messageEl.className = `message-bubble ${isOwn ? 'ml-auto' : 'mr-auto'} max-w-xs`;
+    messageEl.className = `message-bubble ${isOwn ? 'ml-auto' : 'mr-auto'} max-w-xs${mentionsMe ? ' mentions-me' : ''}`;
     messageEl.dataset.messageId = message.id;
+    messageEl.dataset.rawText = message.text;
     
     const editedText = message.edited ? ' (edited)' : '';
     
     messageEl.innerHTML = `
         <div class="${isOwn ? 'own-message' : 'other-message'} px-4 py-2 rounded-2xl relative group">
-            ${!isOwn ? `<p class="text-xs opacity-70 mb-1">${message.userName || 'Unknown'}</p>` : ''}
-            <p class="text-sm">${message.text}</p>
-            <p class="text-xs opacity-50 mt-1">${formatTime(message.timestamp)}${editedText}</p>
+            ${!isOwn ? `<p class="text-xs opacity-70 mb-1">${userLink(message.userId, message.userName || 'Unknown')}</p>` : ''}
+            <div class="message-text text-sm">${renderMarkdown(message.text)}</div>
+            <p class="message-time text-xs opacity-50 mt-1">${formatTime(message.timestamp)}${editedText}</p>
+            ${!message.parentId && !options.inThread ? `
+                <button class="thread-btn text-xs text-purple-300 hover:text-purple-200 mt-1">
+                    <i class="far fa-comment-dots mr-1"></i><span class="reply-count">${formatReplyCount(message.replyCount)}</span>
+                </button>
+            ` : ''}
+            <div class="reaction-bar flex flex-wrap items-center gap-1 mt-1"></div>
             ${isOwn ? `
                 <div class="absolute top-1 right-1 opacity-0 group-hover:opacity-100 transition-opacity">
                     <button class="message-edit-btn text-xs bg-gray-700 hover:bg-gray-600 px-2 py-1 rounded mr-1">
@@ -941,47 +1508,815 @@ function displayMessage(message) {
                     </button>
                 </div>
             ` : ''}
+            ${showModerateBtn ? `
+                <div class="moderator-action absolute top-1 right-1 opacity-0 group-hover:opacity-100 transition-opacity">
+                    <button class="message-delete-btn text-xs bg-red-600 hover:bg-red-700 px-2 py-1 rounded" aria-label="Delete message as moderator">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </div>
+            ` : ''}
         </div>
     `;
     
     // Add event listeners for edit/delete buttons
-    if (isOwn) {
-        const editBtn = messageEl.querySelector('.message-edit-btn');
-        const deleteBtn = messageEl.querySelector('.message-delete-btn');
-        
-        if (editBtn) {
-            editBtn.addEventListener('click', () => editMessage(message));
-        }
-        
-        if (deleteBtn) {
-            deleteBtn.addEventListener('click', () => deleteMessage(message.id));
-        }
+    const editBtn = messageEl.querySelector('.message-edit-btn');
+    const deleteBtn = messageEl.querySelector('.message-delete-btn');
+    
+    if (editBtn) {
+        editBtn.addEventListener('click', () => editMessage(message));
+    }
+    
+    if (deleteBtn) {
+        deleteBtn.addEventListener('click', () => deleteMessage(message.id));
+    }
+    
+    appState.reactions[message.id] = {
+        counts: { ...(message.reactions || {}) },
+        mine: new Set(message.myReactions || [])
+    };
+    renderReactionBar(messageEl, message.id);
+    
+    const threadBtn = messageEl.querySelector('.thread-btn');
+    if (threadBtn) {
+        threadBtn.addEventListener('click', () => openThread(message.id));
+    }
+    
+    if (options.prepend) {
+        container.insertBefore(messageEl, container.firstChild);
+        return;
     }
     
     container.appendChild(messageEl);
     container.scrollTop = container.scrollHeight;
 }
 
-function addSystemMessage(text) {
-    try {
-        const container = document.getElementById('messagesContainer');
-        if (!container) {
-            console.error('Messages container not found');
-            return;
-        }
-        
-        if (!text) {
-            console.error('System message text is required');
-            return;
-        }
+// Clickable user name, opens the profile sheet (plain text without an ID)
+function userLink(userId, name) {
+    if (!userId) {
+        return escapeHtml(name);
+    }
+    return `<button type="button" class="user-link" data-user-id="${escapeHtml(userId)}">${escapeHtml(name)}</button>`;
+}
+
+// Message Formatting
+// Messages are stored as raw Markdown and rendered through an allow-list:
+// the source is escaped first, then only the supported constructs (bold,
+// italics, inline code, fenced code blocks, links and lists) become tags.
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+const SAFE_LINK_PATTERN = /^(https?:\/\/|mailto:)/i;
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+function renderInlineMarkdown(text) {
+    // Code spans and links are swapped out for placeholders so emphasis
+    // markers inside them are left alone. A link label can hold a code span's
+    // placeholder, so expanding one can reveal another.
+    const tokens = [];
+    const hold = (html) => `\u0000${tokens.push(html) - 1}\u0000`;
+    const expand = (html) => html.replace(/\u0000(\d+)\u0000/g, (match, index) => expand(tokens[index]));
+    
+    return expand(escapeHtml(text)
+        .replace(/`([^`]+)`/g, (match, code) => hold(`<code>${code}</code>`))
+        .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) => SAFE_LINK_PATTERN.test(url)
+            ? hold(`<a href="${url}" target="_blank" rel="noopener noreferrer nofollow">${label}</a>`)
+            : match)
+        .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+        .replace(/(^|[^\w*])\*([^*\s](?:[^*]*[^*\s])?)\*(?![\w*])/g, '$1<em>$2</em>')
+        .replace(/(^|\W)_([^_\s](?:[^_]*[^_\s])?)_(?!\w)/g, '$1<em>$2</em>'));
+}
+
+function renderMarkdown(source) {
+    const lines = String(source).replace(/\u0000/g, '').replace(/\r\n?/g, '\n').split('\n');
+    const blocks = [];
+    let paragraph = [];
+    let list = null;
+    
+    const flushParagraph = () => {
+        if (paragraph.length > 0) {
+            blocks.push(`<p>${paragraph.map(renderInlineMarkdown).join('<br>')}</p>`);
+            paragraph = [];
+        }
+    };
+    
+    const flushList = () => {
+        if (list) {
+            const items = list.items.map(item => `<li>${renderInlineMarkdown(item)}</li>`).join('');
+            blocks.push(`<${list.tag}>${items}</${list.tag}>`);
+            list = null;
+        }
+    };
+    
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        
+        // Fenced code block, an unclosed fence runs to the end of the message
+        if (/^\s*```/.test(line)) {
+            flushParagraph();
+            flushList();
+            
+            const code = [];
+            while (++i < lines.length && !/^\s*```/.test(lines[i])) {
+                code.push(lines[i]);
+            }
+            blocks.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+            continue;
+        }
+        
+        const listItem = line.match(/^\s*(?:([-*+])|\d+[.)])\s+(.*)$/);
+        if (listItem) {
+            const tag = listItem[1] ? 'ul' : 'ol';
+            flushParagraph();
+            if (list && list.tag !== tag) flushList();
+            if (!list) list = { tag, items: [] };
+            list.items.push(listItem[2]);
+            continue;
+        }
+        
+        flushList();
+        if (line.trim() === '') {
+            flushParagraph();
+        } else {
+            paragraph.push(line);
+        }
+    }
+    
+    flushParagraph();
+    flushList();
+    return blocks.join('');
+}
+
+// Reactions
+const REACTION_EMOJIS = ['👍', '❤️', '😂', '😮', '😢', '🎉'];
+
+function renderReactionBar(messageEl, messageId) {
+    const bar = messageEl.querySelector('.reaction-bar');
+    if (!bar) return;
+    
+    const state = appState.reactions[messageId] || { counts: {}, mine: new Set() };
+    bar.innerHTML = '';
+    
+    REACTION_EMOJIS.filter(emoji => state.counts[emoji] > 0).forEach(emoji => {
+        const isMine = state.mine.has(emoji);
+        const pill = document.createElement('button');
+        pill.className = `reaction-pill text-xs px-2 py-0.5 rounded-full transition ${isMine ? 'bg-purple-600 text-white' : 'bg-gray-800 hover:bg-gray-700'}`;
+        pill.textContent = `${emoji} ${state.counts[emoji]}`;
+        pill.setAttribute('aria-pressed', String(isMine));
+        pill.setAttribute('aria-label', `${emoji} reaction, ${state.counts[emoji]}`);
+        pill.addEventListener('click', () => toggleReaction(messageId, emoji));
+        bar.appendChild(pill);
+    });
+    
+    const picker = document.createElement('div');
+    picker.className = 'reaction-picker hidden flex gap-1';
+    REACTION_EMOJIS.forEach(emoji => {
+        const option = document.createElement('button');
+        option.className = 'text-sm px-1 rounded hover:bg-gray-700 transition';
+        option.textContent = emoji;
+        option.setAttribute('aria-label', `React with ${emoji}`);
+        option.addEventListener('click', () => {
+            picker.classList.add('hidden');
+            toggleReaction(messageId, emoji);
+        });
+        picker.appendChild(option);
+    });
+    
+    const addBtn = document.createElement('button');
+    addBtn.className = 'text-xs text-gray-400 hover:text-white px-1 transition';
+    addBtn.innerHTML = '<i class="far fa-smile"></i>';
+    addBtn.setAttribute('aria-label', 'Add reaction');
+    addBtn.addEventListener('click', () => picker.classList.toggle('hidden'));
+    
+    bar.appendChild(addBtn);
+    bar.appendChild(picker);
+}
+
+function refreshReactions(messageId) {
+    document.querySelectorAll(`[data-message-id="${messageId}"]`).forEach(messageEl => {
+        renderReactionBar(messageEl, messageId);
+    });
+}
+
+async function toggleReaction(messageId, emoji) {
+    const state = appState.reactions[messageId] || { counts: {}, mine: new Set() };
+    const hasReacted = state.mine.has(emoji);
+    
+    try {
+        const response = await apiFetch('/api/messages/reactions', {
+            method: hasReacted ? 'DELETE' : 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ messageId, emoji })
+        });
+        
+        if (!response.ok) {
+            const errorData = await response.json();
+            showToast(`Failed to react: ${errorData.error || 'Unknown error'}`, 'error');
+            return;
+        }
+        
+        const data = await response.json();
+        state.counts = { ...data.reactions };
+        if (hasReacted) {
+            state.mine.delete(emoji);
+        } else {
+            state.mine.add(emoji);
+        }
+        appState.reactions[messageId] = state;
+        refreshReactions(messageId);
+    } catch (error) {
+        console.error('Error toggling reaction:', error);
+    }
+}
+
+function handleMessageReacted(data) {
+    const state = appState.reactions[data.messageId] || { counts: {}, mine: new Set() };
+    state.counts = { ...(data.reactions || {}) };
+    
+    if (data.userId === appState.currentUser?.id) {
+        if (data.action === 'added') {
+            state.mine.add(data.emoji);
+        } else {
+            state.mine.delete(data.emoji);
+        }
+    }
+    
+    appState.reactions[data.messageId] = state;
+    refreshReactions(data.messageId);
+}
+
+function formatReplyCount(count) {
+    if (!count) return 'Reply';
+    return count === 1 ? '1 reply' : `${count} replies`;
+}
+
+function updateReplyCount(parentId, count) {
+    document.querySelectorAll(`[data-message-id="${parentId}"] .reply-count`).forEach(label => {
+        label.textContent = formatReplyCount(count);
+    });
+}
+
+// Threads
+async function openThread(messageId) {
+    try {
+        const response = await apiFetch(`/api/messages/thread?messageId=${encodeURIComponent(messageId)}`);
+        
+        if (!response.ok) {
+            const errorData = await response.json();
+            alert(`Failed to open thread: ${errorData.error || 'Unknown error'}`);
+            return;
+        }
+        
+        const { parent, replies } = await response.json();
+        appState.currentThread = parent.id;
+        
+        const threadParent = document.getElementById('threadParent');
+        const threadReplies = document.getElementById('threadReplies');
+        threadParent.innerHTML = '';
+        threadReplies.innerHTML = '';
+        
+        displayMessage(parent, { container: threadParent, inThread: true });
+        replies.forEach(reply => displayMessage(reply, { container: threadReplies }));
+        updateReplyCount(parent.id, parent.replyCount);
+        
+        document.getElementById('threadPanel').classList.remove('hidden');
+        document.getElementById('threadReplyInput').focus();
+    } catch (error) {
+        console.error('Failed to open thread:', error);
+        alert('Failed to open thread. Please try again.');
+    }
+}
+
+function closeThread() {
+    try {
+        appState.currentThread = null;
+        
+        const threadPanel = document.getElementById('threadPanel');
+        if (threadPanel) {
+            threadPanel.classList.add('hidden');
+        }
+    } catch (error) {
+        console.error('Error closing thread:', error);
+    }
+}
+
+function handleThreadReply(message, replyCount) {
+    if (replyCount !== undefined) {
+        updateReplyCount(message.parentId, replyCount);
+    }
+    
+    if (message.parentId === appState.currentThread) {
+        displayMessage(message, { container: document.getElementById('threadReplies') });
+    }
+}
+
+async function sendThreadReply(e) {
+    e.preventDefault();
+    const input = document.getElementById('threadReplyInput');
+    const text = input.value.trim();
+    
+    if (!text || !appState.currentRoom || !appState.currentThread) return;
+    
+    if (!appState.currentRoom.rulesAcknowledged) {
+        showRulesModal();
+        return;
+    }
+    
+    input.value = '';
+    input.disabled = true;
+    
+    try {
+        const response = await apiFetch('/api/messages', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                forumId: appState.currentRoom.id,
+                parentId: appState.currentThread,
+                text
+            })
+        });
+        
+        if (!response.ok) {
+            const errorData = await response.json();
+            console.error('Failed to send reply:', errorData);
+            input.value = text; // Restore the text
+            return;
+        }
+        
+        appState.messageCount++;
+    } catch (error) {
+        console.error('Failed to send reply:', error);
+        input.value = text; // Restore the text
+    } finally {
+        input.disabled = false;
+        input.focus();
+    }
+}
+
+function addSystemMessage(text) {
+    try {
+        const container = document.getElementById('messagesContainer');
+        if (!container) {
+            console.error('Messages container not found');
+            return;
+        }
+        
+        if (!text) {
+            console.error('System message text is required');
+            return;
+        }
+        
+        const messageEl = document.createElement('div');
+        messageEl.className = 'text-center text-xs text-gray-500 my-2';
+        messageEl.textContent = text;
+        container.appendChild(messageEl);
+    } catch (error) {
+        console.error('Error adding system message:', error);
+    }
+}
+
+// Mentions
+async function loadParticipants(forumId) {
+    try {
+        const response = await apiFetch(`/api/forums/${forumId}/participants`);
+        
+        if (!response.ok) {
+            console.error('Failed to load participants:', response.status);
+            return;
+        }
+        
+        const data = await response.json();
+        if (forumId === appState.currentRoom?.id) {
+            appState.participants = data.participants || [];
+            applyRoomPermissions(data.permissions);
+        }
+    } catch (error) {
+        console.error('Failed to load participants:', error);
+    }
+}
+
+// What the signed-in user may do in the open room, as reported by the server
+function applyRoomPermissions(permissions) {
+    if (appState.currentRoom) {
+        appState.currentRoom.permissions = permissions || {};
+    }
+    
+    const discussionRoom = document.getElementById('discussionRoom');
+    if (discussionRoom) {
+        discussionRoom.classList.toggle('can-moderate', Boolean(permissions?.moderateMessages));
+    }
+    
+    const forumSettingsBtn = document.getElementById('forumSettingsBtn');
+    if (forumSettingsBtn) {
+        forumSettingsBtn.classList.toggle('hidden', !permissions?.manageForum);
+    }
+    
+    const deleteForumBtn = document.getElementById('deleteForumBtn');
+    if (deleteForumBtn) {
+        deleteForumBtn.classList.toggle('hidden', !permissions?.deleteForum);
+    }
+}
+
+// Room header and inputs for the forum's title, topic and locked/archived state
+function applyRoomState(forum) {
+    document.getElementById('roomTitle').textContent = forum.title;
+    document.getElementById('roomTopic').textContent = topicName(forum.topic);
+    
+    const status = forum.archived ? 'Archived' : forum.locked ? 'Locked' : '';
+    const roomStatus = document.getElementById('roomStatus');
+    if (roomStatus) {
+        roomStatus.textContent = status;
+        roomStatus.classList.toggle('hidden', !status);
+    }
+    
+    const readOnly = Boolean(status);
+    [
+        ['messageInput', 'Share your thoughts...'],
+        ['threadReplyInput', 'Reply in thread...']
+    ].forEach(([id, placeholder]) => {
+        const input = document.getElementById(id);
+        if (!input) return;
+        
+        input.disabled = readOnly;
+        input.placeholder = readOnly ? `This forum is ${status.toLowerCase()}` : placeholder;
+    });
+    
+    renderRoomInfo(forum);
+}
+
+// The expandable description and rules panel under the room header
+function renderRoomInfo(forum) {
+    const rules = forum.rules || [];
+    const hasInfo = Boolean(forum.description) || rules.length > 0;
+    
+    document.getElementById('roomDescription').textContent = forum.description || '';
+    document.getElementById('roomRulesList').innerHTML = rules.map(rule => `<li>${escapeHtml(rule)}</li>`).join('');
+    document.getElementById('roomRulesSection').classList.toggle('hidden', rules.length === 0);
+    
+    const roomInfoBtn = document.getElementById('roomInfoBtn');
+    roomInfoBtn.classList.toggle('hidden', !hasInfo);
+    if (!hasInfo) {
+        document.getElementById('roomInfoPanel').classList.add('hidden');
+        roomInfoBtn.setAttribute('aria-expanded', 'false');
+    }
+}
+
+function toggleRoomInfo() {
+    const panel = document.getElementById('roomInfoPanel');
+    const expanded = panel.classList.toggle('hidden') === false;
+    document.getElementById('roomInfoBtn').setAttribute('aria-expanded', String(expanded));
+}
+
+function showRulesModal() {
+    const rules = appState.currentRoom?.rules || [];
+    if (rules.length === 0) return;
+    
+    document.getElementById('rulesModalList').innerHTML = rules.map(rule => `<li>${escapeHtml(rule)}</li>`).join('');
+    document.getElementById('rulesModal').classList.remove('hidden');
+}
+
+function closeRulesModal() {
+    document.getElementById('rulesModal').classList.add('hidden');
+}
+
+async function acceptRules() {
+    const room = appState.currentRoom;
+    if (!room) return;
+    
+    try {
+        const response = await apiFetch(`/api/forums/${room.id}/rules/acknowledge`, { method: 'POST' });
+        
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            showToast(data.error || 'Failed to accept the rules', 'error');
+            return;
+        }
+        
+        room.rulesAcknowledged = true;
+        closeRulesModal();
+    } catch (error) {
+        console.error('Failed to accept forum rules:', error);
+        showToast('Failed to accept the rules', 'error');
+    }
+}
+
+function handleForumUpdated(forum, changes = []) {
+    // Archived forums drop out of the list but stay open for whoever is in them
+    const index = appState.forums.findIndex(f => f.id === forum.id);
+    if (forum.archived) {
+        if (index !== -1) appState.forums.splice(index, 1);
+    } else if (index !== -1) {
+        appState.forums[index] = forum;
+    } else {
+        appState.forums.unshift(forum);
+    }
+    displayForums();
+    
+    if (forum.id === appState.currentRoom?.id) {
+        // New rules have to be accepted again, except by whoever wrote them
+        const rulesChanged = changes.includes('rules') && forum.updatedBy !== appState.currentUser?.id;
+        const rulesAcknowledged = rulesChanged
+            ? (forum.rules || []).length === 0
+            : appState.currentRoom.rulesAcknowledged;
+        
+        appState.currentRoom = { ...forum, permissions: appState.currentRoom.permissions, rulesAcknowledged };
+        applyRoomState(appState.currentRoom);
+        
+        if (!rulesAcknowledged) {
+            showRulesModal();
+        }
+    }
+}
+
+function openForumSettings() {
+    const room = appState.currentRoom;
+    if (!room) return;
+    
+    const topicSelect = document.getElementById('forumSettingsTopic');
+    if (room.topic && !Array.from(topicSelect.options).some(option => option.value === room.topic)) {
+        topicSelect.add(new Option(room.topic, room.topic));
+    }
+    
+    document.getElementById('forumSettingsTitle').value = room.title || '';
+    topicSelect.value = room.topic || 'technology';
+    document.getElementById('forumSettingsDescription').value = room.description || '';
+    document.getElementById('forumSettingsRules').value = (room.rules || []).join('\n');
+    document.getElementById('forumSettingsVisibility').value = room.visibility || 'public';
+    document.getElementById('forumSettingsLocked').checked = Boolean(room.locked);
+    document.getElementById('forumSettingsArchived').checked = Boolean(room.archived);
+    document.getElementById('forumSettingsError').classList.add('hidden');
+    
+    // Invite links are how people get into a private forum
+    const canInvite = room.visibility === 'private' && Boolean(room.permissions?.invite);
+    document.getElementById('forumInviteSection').classList.toggle('hidden', !canInvite);
+    document.getElementById('inviteLinkRow').classList.add('hidden');
+    
+    document.getElementById('forumSettingsModal').classList.remove('hidden');
+}
+
+async function createInviteLink() {
+    const room = appState.currentRoom;
+    if (!room) return;
+    
+    try {
+        const response = await apiFetch(`/api/forums/${room.id}/invites`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                expiresInHours: Number(document.getElementById('inviteExpiry').value),
+                maxUses: Number(document.getElementById('inviteMaxUses').value)
+            })
+        });
+        
+        const data = await response.json();
+        
+        if (!response.ok) {
+            showToast(data.error || 'Failed to create invite link', 'error');
+            return;
+        }
+        
+        const link = new URL(window.location.pathname, window.location.origin);
+        link.searchParams.set('forum', room.id);
+        link.searchParams.set('invite', data.token);
+        
+        document.getElementById('inviteLinkInput').value = link.toString();
+        document.getElementById('inviteLinkRow').classList.remove('hidden');
+    } catch (error) {
+        console.error('Failed to create invite link:', error);
+        showToast('Failed to create invite link', 'error');
+    }
+}
+
+async function copyInviteLink() {
+    const input = document.getElementById('inviteLinkInput');
+    
+    try {
+        await navigator.clipboard.writeText(input.value);
+        showToast('Invite link copied', 'success');
+    } catch (error) {
+        console.error('Failed to copy invite link:', error);
+        input.select();
+    }
+}
+
+function closeForumSettings() {
+    document.getElementById('forumSettingsModal').classList.add('hidden');
+}
+
+async function handleForumSettingsSave(e) {
+    e.preventDefault();
+    
+    const room = appState.currentRoom;
+    const errorEl = document.getElementById('forumSettingsError');
+    errorEl.classList.add('hidden');
+    if (!room) return;
+    
+    try {
+        const response = await apiFetch(`/api/forums/${room.id}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                title: document.getElementById('forumSettingsTitle').value.trim(),
+                topic: document.getElementById('forumSettingsTopic').value,
+                description: document.getElementById('forumSettingsDescription').value.trim(),
+                rules: splitRules(document.getElementById('forumSettingsRules').value),
+                visibility: document.getElementById('forumSettingsVisibility').value,
+                locked: document.getElementById('forumSettingsLocked').checked,
+                archived: document.getElementById('forumSettingsArchived').checked
+            })
+        });
+        
+        const data = await response.json();
+        
+        if (!response.ok) {
+            errorEl.textContent = data.error || 'Failed to save forum settings';
+            errorEl.classList.remove('hidden');
+            return;
+        }
+        
+        // The forum_updated event refreshes the room for everyone, us included
+        handleForumUpdated(data);
+        closeForumSettings();
+        showToast('Forum updated', 'success');
+    } catch (error) {
+        console.error('Failed to save forum settings:', error);
+        errorEl.textContent = 'Failed to save forum settings. Please try again.';
+        errorEl.classList.remove('hidden');
+    }
+}
+
+// Rules are edited as one per line
+function splitRules(text) {
+    return text.split('\n').map(rule => rule.trim()).filter(Boolean);
+}
+
+async function deleteCurrentForum() {
+    const room = appState.currentRoom;
+    if (!room) return;
+    
+    if (!confirm(`Delete "${room.title}" and all of its messages? This cannot be undone.`)) return;
+    
+    try {
+        const response = await apiFetch(`/api/forums/${room.id}`, { method: 'DELETE' });
+        
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            showToast(data.error || 'Failed to delete forum', 'error');
+            return;
+        }
+        
+        handleForumDeleted({ forumId: room.id, title: room.title });
+    } catch (error) {
+        console.error('Failed to delete forum:', error);
+        showToast('Failed to delete forum', 'error');
+    }
+}
+
+// Looks for an "@partial" right before the caret and offers matching
+// participants. Names can contain spaces, so the query only runs to the
+// first one and picking a suggestion inserts the full name.
+function updateMentionSuggestions() {
+    const input = document.getElementById('messageInput');
+    if (!input) return;
+    
+    const beforeCaret = input.value.slice(0, input.selectionStart);
+    const match = beforeCaret.match(/(^|\s)@([^\s@]*)$/);
+    
+    if (!match) {
+        hideMentionSuggestions();
+        return;
+    }
+    
+    const query = match[2].toLowerCase();
+    const start = beforeCaret.length - match[2].length - 1;
+    const items = appState.participants
+        .filter(participant => participant.id !== appState.currentUser?.id)
+        .filter(participant => participant.displayName.toLowerCase().startsWith(query))
+        .slice(0, 5);
+    
+    showMentionSuggestions(items, start);
+    
+    // Participants come first, anyone else with a matching name fills the
+    // rest. Unlisted and private forums only suggest who is already in them.
+    const isPublic = (appState.currentRoom?.visibility || 'public') === 'public';
+    if (isPublic && items.length < 5 && query.length >= 2) {
+        searchMentionCandidates(query, start, items);
+    }
+}
+
+function showMentionSuggestions(items, start) {
+    if (items.length === 0) {
+        hideMentionSuggestions();
+        return;
+    }
+    
+    appState.mentionSuggestions = { items, activeIndex: 0, start };
+    renderMentionSuggestions();
+}
+
+async function searchMentionCandidates(query, start, participantItems) {
+    try {
+        const response = await apiFetch(`/api/users?search=${encodeURIComponent(query)}&limit=5`);
+        if (!response.ok) return;
+        
+        const { users } = await response.json();
+        
+        // Drop the results if the user has typed on since
+        const input = document.getElementById('messageInput');
+        const current = input.value.slice(0, input.selectionStart).match(/(^|\s)@([^\s@]*)$/);
+        if (!current || current[2].toLowerCase() !== query) return;
+        
+        const known = new Set(participantItems.map(item => item.id));
+        const others = (users || []).filter(user => user.id !== appState.currentUser?.id && !known.has(user.id));
         
-        const messageEl = document.createElement('div');
-        messageEl.className = 'text-center text-xs text-gray-500 my-2';
-        messageEl.textContent = text;
-        container.appendChild(messageEl);
+        showMentionSuggestions([...participantItems, ...others].slice(0, 5), start);
     } catch (error) {
-        console.error('Error adding system message:', error);
+        console.error('Failed to search users:', error);
+    }
+}
+
+function renderMentionSuggestions() {
+    const list = document.getElementById('mentionSuggestions');
+    if (!list) return;
+    
+    const { items, activeIndex } = appState.mentionSuggestions;
+    list.innerHTML = '';
+    
+    items.forEach((participant, index) => {
+        const option = document.createElement('li');
+        option.className = `mention-option${index === activeIndex ? ' active' : ''}`;
+        option.setAttribute('role', 'option');
+        option.setAttribute('aria-selected', String(index === activeIndex));
+        option.textContent = `@${participant.displayName}`;
+        option.addEventListener('mousedown', (e) => {
+            e.preventDefault();
+            insertMention(participant);
+        });
+        list.appendChild(option);
+    });
+    
+    list.classList.remove('hidden');
+}
+
+function hideMentionSuggestions() {
+    const list = document.getElementById('mentionSuggestions');
+    if (list) list.classList.add('hidden');
+    appState.mentionSuggestions = { items: [], activeIndex: 0, start: -1 };
+}
+
+function insertMention(participant) {
+    const input = document.getElementById('messageInput');
+    const { start } = appState.mentionSuggestions;
+    if (!input || start < 0) return;
+    
+    const before = input.value.slice(0, start);
+    const after = input.value.slice(input.selectionStart);
+    const mention = `@${participant.displayName} `;
+    
+    input.value = before + mention + after.replace(/^\S*\s?/, '');
+    input.setSelectionRange(before.length + mention.length, before.length + mention.length);
+    input.focus();
+    hideMentionSuggestions();
+}
+
+// Returns true when the key was used to drive the suggestion list
+function handleMentionKeydown(e) {
+    const { items, activeIndex } = appState.mentionSuggestions;
+    if (items.length === 0) return false;
+    
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        appState.mentionSuggestions.activeIndex = (activeIndex + step + items.length) % items.length;
+        renderMentionSuggestions();
+        return true;
+    }
+    
+    if (e.key === 'Enter' || e.key === 'Tab') {
+        e.preventDefault();
+        insertMention(items[activeIndex]);
+        return true;
     }
+    
+    if (e.key === 'Escape') {
+        // Keep the document-level Escape handler from closing the thread too
+        e.preventDefault();
+        e.stopPropagation();
+        hideMentionSuggestions();
+        return true;
+    }
+    
+    return false;
+}
+
+// `mention` events arrive on the user's own channel from any forum
+function handleMention(data) {
+    if (!data || !data.roomId) return;
+    
+    if (appState.currentUser?.preferences?.notifications === false) return;
+    
+    const where = data.forumTitle ? ` in ${data.forumTitle}` : '';
+    showToast(`${data.fromUserName || 'Someone'} mentioned you${where}`, 'info');
 }
 
 // Typing Indicator
@@ -992,24 +2327,22 @@ function handleTyping() {
     clearTimeout(typingTimer);
     
     try {
-        fetch('/api/messages/typing', {
+        apiFetch('/api/messages/typing', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({
-                forumId: appState.currentRoom.id,
-                userId: appState.currentUser.id
+                forumId: appState.currentRoom.id
             })
         }).catch(error => {
             console.error('Failed to send typing indicator:', error);
         });
         
         typingTimer = setTimeout(() => {
-            fetch('/api/messages/typing', {
+            apiFetch('/api/messages/typing', {
                 method: 'DELETE',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({
-                    forumId: appState.currentRoom.id,
-                    userId: appState.currentUser.id
+                    forumId: appState.currentRoom.id
                 })
             }).catch(error => {
                 console.error('Failed to stop typing indicator:', error);
@@ -1020,8 +2353,9 @@ function handleTyping() {
     }
 }
 
+// typing_update carries the full set of users typing in the room
 function handleTypingIndicator(data) {
-    if (!data || !data.roomId || !data.userId) {
+    if (!data || !data.roomId || !data.typingUsers) {
         console.error('Invalid typing indicator data:', data);
         return;
     }
@@ -1029,103 +2363,482 @@ function handleTypingIndicator(data) {
     if (data.roomId !== appState.currentRoom?.id) return;
     
     try {
-        if (data.isTyping) {
-            appState.typingUsers[data.userId] = data.userName || 'Someone';
-        } else {
-            delete appState.typingUsers[data.userId];
-        }
+        appState.typingUsers = { ...data.typingUsers };
+        updateTypingIndicator();
+    } catch (error) {
+        console.error('Error handling typing indicator:', error);
+    }
+}
+
+function updateTypingIndicator() {
+    try {
+        const typingIndicator = document.getElementById('typingIndicator');
+        if (!typingIndicator) {
+            console.error('Typing indicator element not found');
+            return;
+        }
+        
+        const typingUsers = Object.values(appState.typingUsers || {});
+        
+        if (typingUsers.length === 0) {
+            typingIndicator.classList.add('hidden');
+            return;
+        }
+        
+        let text = '';
+        if (typingUsers.length === 1) {
+            text = `${typingUsers[0]} is typing...`;
+        } else if (typingUsers.length === 2) {
+            text = `${typingUsers[0]} and ${typingUsers[1]} are typing...`;
+        } else {
+            text = `${typingUsers[0]} and ${typingUsers.length - 1} others are typing...`;
+        }
+        
+        typingIndicator.textContent = text;
+        typingIndicator.classList.remove('hidden');
+    } catch (error) {
+        console.error('Error updating typing indicator:', error);
+    }
+}
+
+// Helper Functions
+function formatTime(timestamp) {
+    if (!timestamp) {
+        return 'Just now';
+    }
+    
+    try {
+        const date = new Date(timestamp);
+        if (isNaN(date.getTime())) {
+            return 'Just now';
+        }
+        
+        const now = new Date();
+        const diff = now - date;
+        
+        if (diff < 60000) return 'Just now';
+        if (diff < 3600000) return `${Math.floor(diff / 60000)}m ago`;
+        if (diff < 86400000) return `${Math.floor(diff / 3600000)}h ago`;
+        return date.toLocaleDateString(appState.currentUser?.preferences?.language);
+    } catch (error) {
+        console.error('Error formatting time:', error);
+        return 'Just now';
+    }
+}
+
+function updateProfile() {
+    if (!appState.currentUser) {
+        console.error('No current user to update profile');
+        return;
+    }
+    
+    try {
+        const profileName = document.getElementById('profileName');
+        const profileBio = document.getElementById('profileBio');
+        const connectionsCount = document.getElementById('connectionsCount');
+        
+        if (profileName) {
+            profileName.textContent = appState.currentUser.displayName || 'Unknown User';
+        }
+        
+        if (profileBio) {
+            profileBio.textContent = appState.currentUser.aboutMe || 'No bio available';
+        }
+        
+        const avatarUrl = appState.currentUser.profile?.avatar;
+        const profileAvatar = document.getElementById('profileAvatar');
+        const profileAvatarIcon = document.getElementById('profileAvatarIcon');
+        if (profileAvatar && profileAvatarIcon) {
+            profileAvatar.classList.toggle('hidden', !avatarUrl);
+            profileAvatarIcon.classList.toggle('hidden', Boolean(avatarUrl));
+            if (avatarUrl) profileAvatar.src = avatarUrl;
+        }
+        
+        fillProfileForm(appState.currentUser);
+        
+        if (connectionsCount) {
+            // Calculate connections based on forums joined
+            const connections = appState.discussionsJoined.size || 0;
+            connectionsCount.textContent = connections;
+        }
+    } catch (error) {
+        console.error('Error updating profile:', error);
+    }
+}
+
+function fillProfileForm(user) {
+    const form = document.getElementById('profileForm');
+    if (!form) return;
+    
+    const profile = user.profile || {};
+    const preferences = user.preferences || {};
+    
+    document.getElementById('profileDisplayName').value = user.displayName || '';
+    document.getElementById('profileAboutMe').value = user.aboutMe || '';
+    document.getElementById('profileLocation').value = profile.location || '';
+    document.getElementById('profileWebsite').value = profile.website || '';
+    document.getElementById('profileAvatarUrl').value = profile.avatar || '';
+    document.getElementById('preferenceTheme').value = preferences.theme || 'dark';
+    document.getElementById('preferenceLanguage').value = preferences.language || 'en';
+    document.getElementById('preferenceNotifications').checked = preferences.notifications !== false;
+    document.getElementById('preferenceEmailUpdates').checked = Boolean(preferences.emailUpdates);
+    
+    form.querySelectorAll('input[name="profileInterest"]').forEach(input => {
+        input.checked = (user.interests || []).includes(input.value);
+    });
+}
+
+async function handleProfileSave(e) {
+    e.preventDefault();
+    
+    const errorEl = document.getElementById('profileFormError');
+    errorEl.classList.add('hidden');
+    
+    const interests = [];
+    document.querySelectorAll('#profileForm input[name="profileInterest"]:checked').forEach(input => {
+        interests.push(input.value);
+    });
+    
+    const updates = {
+        displayName: document.getElementById('profileDisplayName').value.trim(),
+        aboutMe: document.getElementById('profileAboutMe').value.trim(),
+        interests,
+        profile: {
+            location: document.getElementById('profileLocation').value.trim(),
+            website: document.getElementById('profileWebsite').value.trim(),
+            avatar: document.getElementById('profileAvatarUrl').value.trim()
+        },
+        preferences: {
+            theme: document.getElementById('preferenceTheme').value,
+            language: document.getElementById('preferenceLanguage').value,
+            notifications: document.getElementById('preferenceNotifications').checked,
+            emailUpdates: document.getElementById('preferenceEmailUpdates').checked
+        }
+    };
+    
+    try {
+        const response = await apiFetch('/api/auth', {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(updates)
+        });
+        
+        const data = await response.json();
+        
+        if (!response.ok) {
+            errorEl.textContent = data.error || 'Failed to save profile';
+            errorEl.classList.remove('hidden');
+            return;
+        }
+        
+        // The update response carries no session, keep the current one
+        appState.currentUser = { ...data, session: appState.currentUser.session };
+        localStorage.setItem('forumUser', JSON.stringify(appState.currentUser));
+        
+        applyPreferences(appState.currentUser.preferences);
+        updateProfile();
+        renderNotifications();
+        showToast('Profile saved', 'success');
+    } catch (error) {
+        console.error('Failed to save profile:', error);
+        errorEl.textContent = 'Failed to save profile. Please try again.';
+        errorEl.classList.remove('hidden');
+    }
+}
+
+// Active sessions
+async function loadSessions() {
+    try {
+        const response = await apiFetch('/api/auth/sessions');
+        if (!response.ok) {
+            console.error('Failed to load sessions:', response.status);
+            return;
+        }
+        
+        const data = await response.json();
+        renderSessions(data.sessions || []);
+    } catch (error) {
+        console.error('Error loading sessions:', error);
+    }
+}
+
+// Short "Browser on OS" label from a user agent string
+function describeUserAgent(userAgent = '') {
+    const browser = [
+        ['Edge', /Edg\//], ['Opera', /OPR\//], ['Chrome', /Chrome\//],
+        ['Firefox', /Firefox\//], ['Safari', /Safari\//]
+    ].find(([, pattern]) => pattern.test(userAgent));
+    const os = [
+        ['Android', /Android/], ['iOS', /iPhone|iPad/], ['Windows', /Windows/],
+        ['macOS', /Mac OS X/], ['Linux', /Linux/]
+    ].find(([, pattern]) => pattern.test(userAgent));
+    
+    if (!browser && !os) {
+        return 'Unknown device';
+    }
+    return [browser?.[0] || 'Browser', os?.[0]].filter(Boolean).join(' on ');
+}
+
+function renderSessions(sessions) {
+    const list = document.getElementById('sessionList');
+    if (!list) return;
+    
+    list.innerHTML = '';
+    
+    sessions.forEach(session => {
+        const item = document.createElement('li');
+        item.className = 'session-item';
+        item.innerHTML = `
+            <i class="fas fa-${/Mobile|Android|iPhone/.test(session.userAgent) ? 'mobile-alt' : 'desktop'} text-gray-400" aria-hidden="true"></i>
+            <div class="flex-1 min-w-0">
+                <p class="text-sm">
+                    ${escapeHtml(describeUserAgent(session.userAgent))}
+                    ${session.current ? '<span class="session-current">This device</span>' : ''}
+                </p>
+                <p class="text-xs text-gray-500">Active ${formatTime(session.lastActivity)} · Signed in ${formatTime(session.createdAt)}</p>
+            </div>
+        `;
+        
+        if (!session.current) {
+            const revokeBtn = document.createElement('button');
+            revokeBtn.className = 'text-xs text-red-400 hover:underline';
+            revokeBtn.textContent = 'Revoke';
+            revokeBtn.setAttribute('aria-label', `Revoke ${describeUserAgent(session.userAgent)} session`);
+            revokeBtn.addEventListener('click', () => revokeSession(session.id));
+            item.appendChild(revokeBtn);
+        }
+        
+        list.appendChild(item);
+    });
+}
+
+async function revokeSession(sessionId) {
+    try {
+        const response = await apiFetch(`/api/auth/sessions/${encodeURIComponent(sessionId)}`, { method: 'DELETE' });
+        if (!response.ok) {
+            showToast('Failed to revoke session', 'error');
+        }
+        loadSessions();
+    } catch (error) {
+        console.error('Error revoking session:', error);
+        showToast('Failed to revoke session', 'error');
+    }
+}
+
+async function revokeAllSessions() {
+    if (!confirm('Sign out on every device, including this one?')) return;
+    
+    try {
+        const response = await apiFetch('/api/auth/sessions', { method: 'DELETE' });
+        if (!response.ok) {
+            showToast('Failed to sign out everywhere', 'error');
+            return;
+        }
+        endLocalSession();
+    } catch (error) {
+        console.error('Error revoking sessions:', error);
+        showToast('Failed to sign out everywhere', 'error');
+    }
+}
+
+// Another device revoked a session; if it was ours we are signed out
+function handleSessionRevoked(data) {
+    if (data.all || data.sessionId === appState.currentUser?.session?.id) {
+        showToast('You were signed out from another device', 'info');
+        endLocalSession();
+        return;
+    }
+    
+    const profileScreen = document.getElementById('profileScreen');
+    if (profileScreen && !profileScreen.classList.contains('hidden')) {
+        loadSessions();
+    }
+}
+
+function endLocalSession() {
+    localStorage.removeItem('forumUser');
+    appState.currentUser = null;
+    
+    if (appState.eventSource) {
+        appState.eventSource.close();
+    }
+    
+    location.reload();
+}
+
+// Account recovery
+function toggleRecoverForm() {
+    const joinForm = document.getElementById('joinForm');
+    const recoverForm = document.getElementById('recoverForm');
+    const toggleBtn = document.getElementById('toggleRecoverBtn');
+    
+    const recovering = recoverForm.classList.toggle('hidden') === false;
+    joinForm.classList.toggle('hidden', recovering);
+    toggleBtn.textContent = recovering
+        ? 'New here? Create an account'
+        : 'Already have an account? Sign in with a recovery code';
+}
+
+async function handleRecover(e) {
+    e.preventDefault();
+    
+    const errorEl = document.getElementById('recoverFormError');
+    errorEl.classList.add('hidden');
+    
+    try {
+        const response = await fetch('/api/auth/recover', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                displayName: document.getElementById('recoverDisplayName').value.trim(),
+                code: document.getElementById('recoverCode').value.trim()
+            })
+        });
+        
+        const data = await response.json();
+        
+        if (!response.ok) {
+            errorEl.textContent = data.error || 'Failed to recover account';
+            errorEl.classList.remove('hidden');
+            return;
+        }
+        
+        const { recoveryCodesRemaining, ...user } = data;
+        appState.currentUser = user;
+        localStorage.setItem('forumUser', JSON.stringify(user));
+        
+        showMainScreen();
+        connectToSSE();
+        loadForums();
+        
+        showToast(recoveryCodesRemaining > 0
+            ? `Welcome back! ${recoveryCodesRemaining} recovery codes left`
+            : 'Welcome back! Generate new recovery codes from your profile', 'success');
+    } catch (error) {
+        console.error('Recovery failed:', error);
+        errorEl.textContent = 'Failed to recover account. Please try again.';
+        errorEl.classList.remove('hidden');
+    }
+}
+
+function showRecoveryCodes(codes) {
+    if (codes.length === 0) return;
+    
+    const list = document.getElementById('recoveryCodesList');
+    list.innerHTML = codes.map(code => `<li>${escapeHtml(code)}</li>`).join('');
+    document.getElementById('recoveryCodesModal').classList.remove('hidden');
+}
+
+async function copyRecoveryCodes() {
+    const codes = Array.from(document.querySelectorAll('#recoveryCodesList li'), item => item.textContent);
+    
+    try {
+        await navigator.clipboard.writeText(codes.join('\n'));
+        showToast('Recovery codes copied', 'success');
+    } catch (error) {
+        console.error('Failed to copy recovery codes:', error);
+        showToast('Copy failed, please write the codes down', 'error');
+    }
+}
+
+function closeRecoveryCodes() {
+    document.getElementById('recoveryCodesModal').classList.add('hidden');
+    document.getElementById('recoveryCodesList').innerHTML = '';
+    loadRecoveryStatus();
+}
+
+async function loadRecoveryStatus() {
+    const status = document.getElementById('recoveryCodesStatus');
+    if (!status) return;
+    
+    try {
+        const response = await apiFetch('/api/auth/recovery-codes');
+        if (!response.ok) return;
         
-        updateTypingIndicator();
+        const { remaining } = await response.json();
+        status.textContent = remaining > 0
+            ? `${remaining} unused codes can sign you in on a new device.`
+            : 'No unused codes left. Generate new ones so you can get back into your account.';
     } catch (error) {
-        console.error('Error handling typing indicator:', error);
+        console.error('Error loading recovery codes:', error);
     }
 }
 
-function updateTypingIndicator() {
+async function regenerateRecoveryCodes() {
+    if (!confirm('Generate new recovery codes? Your old codes will stop working.')) return;
+    
     try {
-        const typingIndicator = document.getElementById('typingIndicator');
-        if (!typingIndicator) {
-            console.error('Typing indicator element not found');
-            return;
-        }
-        
-        const typingUsers = Object.values(appState.typingUsers || {});
-        
-        if (typingUsers.length === 0) {
-            typingIndicator.classList.add('hidden');
+        const response = await apiFetch('/api/auth/recovery-codes', { method: 'POST' });
+        if (!response.ok) {
+            showToast('Failed to generate recovery codes', 'error');
             return;
         }
         
-        let text = '';
-        if (typingUsers.length === 1) {
-            text = `${typingUsers[0]} is typing...`;
-        } else if (typingUsers.length === 2) {
-            text = `${typingUsers[0]} and ${typingUsers[1]} are typing...`;
-        } else {
-            text = `${typingUsers[0]} and ${typingUsers.length - 1} others are typing...`;
-        }
-        
-        typingIndicator.textContent = text;
-        typingIndicator.classList.remove('hidden');
+        const { recoveryCodes } = await response.json();
+        showRecoveryCodes(recoveryCodes);
     } catch (error) {
-        console.error('Error updating typing indicator:', error);
+        console.error('Error generating recovery codes:', error);
+        showToast('Failed to generate recovery codes', 'error');
     }
 }
 
-// Helper Functions
-function formatTime(timestamp) {
-    if (!timestamp) {
-        return 'Just now';
-    }
-    
+// Data export and account deletion
+async function exportAccount() {
     try {
-        const date = new Date(timestamp);
-        if (isNaN(date.getTime())) {
-            return 'Just now';
+        const response = await apiFetch('/api/auth/export');
+        if (!response.ok) {
+            showToast('Failed to export your data', 'error');
+            return;
         }
         
-        const now = new Date();
-        const diff = now - date;
-        
-        if (diff < 60000) return 'Just now';
-        if (diff < 3600000) return `${Math.floor(diff / 60000)}m ago`;
-        if (diff < 86400000) return `${Math.floor(diff / 3600000)}h ago`;
-        return date.toLocaleDateString();
+        const blob = new Blob([JSON.stringify(await response.json(), null, 2)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `forum-export-${appState.currentUser.id}.json`;
+        link.click();
+        URL.revokeObjectURL(link.href);
     } catch (error) {
-        console.error('Error formatting time:', error);
-        return 'Just now';
+        console.error('Error exporting account:', error);
+        showToast('Failed to export your data', 'error');
     }
 }
 
-function updateProfile() {
-    if (!appState.currentUser) {
-        console.error('No current user to update profile');
-        return;
-    }
+async function deleteAccount() {
+    const confirmDisplayName = prompt(`This permanently deletes your account. Type "${appState.currentUser.displayName}" to confirm.`);
+    if (confirmDisplayName === null) return;
+    
+    const purge = confirm('Also delete every message you wrote? Cancel keeps them, shown as "Deleted user".');
     
     try {
-        const profileName = document.getElementById('profileName');
-        const profileBio = document.getElementById('profileBio');
-        const connectionsCount = document.getElementById('connectionsCount');
-        
-        if (profileName) {
-            profileName.textContent = appState.currentUser.displayName || 'Unknown User';
-        }
+        const response = await apiFetch('/api/auth/account', {
+            method: 'DELETE',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ confirmDisplayName, mode: purge ? 'purge' : 'anonymize' })
+        });
         
-        if (profileBio) {
-            profileBio.textContent = appState.currentUser.aboutMe || 'No bio available';
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            showToast(data.error || 'Failed to delete account', 'error');
+            return;
         }
         
-        if (connectionsCount) {
-            // Calculate connections based on forums joined
-            const connections = appState.discussionsJoined.size || 0;
-            connectionsCount.textContent = connections;
-        }
+        endLocalSession();
     } catch (error) {
-        console.error('Error updating profile:', error);
+        console.error('Error deleting account:', error);
+        showToast('Failed to delete account', 'error');
     }
 }
 
+// Theme and language from the saved preferences
+function applyPreferences(preferences = {}) {
+    const root = document.documentElement;
+    const prefersLight = window.matchMedia && window.matchMedia('(prefers-color-scheme: light)').matches;
+    const theme = preferences.theme === 'system' ? (prefersLight ? 'light' : 'dark') : (preferences.theme || 'dark');
+    
+    root.dataset.theme = theme;
+    root.lang = preferences.language || 'en';
+}
+
 function updateParticipantCount(count) {
     try {
         const countElement = document.getElementById('participantCount');
@@ -1137,6 +2850,154 @@ function updateParticipantCount(count) {
     }
 }
 
+// Profile Sheet
+async function openProfileSheet(userId) {
+    const sheet = document.getElementById('profileSheet');
+    const content = document.getElementById('profileSheetContent');
+    if (!sheet || !content) return;
+    
+    content.innerHTML = '<p class="text-center text-gray-400 py-8">Loading profile...</p>';
+    sheet.classList.remove('hidden');
+    
+    try {
+        const response = await apiFetch(`/api/users/${encodeURIComponent(userId)}`);
+        
+        if (!response.ok) {
+            content.innerHTML = '<p class="text-center text-gray-400 py-8">This profile is not available.</p>';
+            return;
+        }
+        
+        renderProfileSheet(await response.json());
+    } catch (error) {
+        console.error('Failed to load profile:', error);
+        content.innerHTML = '<p class="text-center text-gray-400 py-8">Failed to load profile.</p>';
+    }
+}
+
+function renderProfileSheet(user) {
+    const content = document.getElementById('profileSheetContent');
+    const profile = user.profile || {};
+    const stats = user.stats || {};
+    
+    const avatar = profile.avatar
+        ? `<img src="${escapeHtml(profile.avatar)}" alt="" class="w-full h-full object-cover">`
+        : '<i class="fas fa-user text-3xl text-white"></i>';
+    
+    const details = [
+        profile.location ? `<span><i class="fas fa-map-marker-alt mr-1" aria-hidden="true"></i>${escapeHtml(profile.location)}</span>` : '',
+        profile.website ? `<a href="${escapeHtml(profile.website)}" target="_blank" rel="noopener noreferrer nofollow" class="text-purple-300 hover:text-purple-200"><i class="fas fa-link mr-1" aria-hidden="true"></i>${escapeHtml(new URL(profile.website).hostname)}</a>` : '',
+        `<span><i class="far fa-calendar mr-1" aria-hidden="true"></i>Joined ${new Date(user.joinedAt).toLocaleDateString(appState.currentUser?.preferences?.language)}</span>`
+    ].filter(Boolean).join('');
+    
+    content.innerHTML = `
+        <div class="text-center">
+            <div class="w-20 h-20 bg-gradient-to-br from-purple-500 to-amber-500 rounded-full mx-auto mb-3 flex items-center justify-center overflow-hidden" aria-hidden="true">
+                ${avatar}
+            </div>
+            <h3 id="profileSheetName" class="text-xl font-bold">
+                ${escapeHtml(user.displayName)}
+                ${user.isOnline ? '<span class="inline-block w-2 h-2 bg-green-500 rounded-full align-middle ml-1" title="Online"></span>' : ''}
+            </h3>
+            <p class="text-gray-400 mt-1">${escapeHtml(user.aboutMe || 'No bio available')}</p>
+            <div class="flex flex-wrap justify-center gap-3 text-xs text-gray-400 mt-2">${details}</div>
+        </div>
+        
+        <div class="grid grid-cols-3 gap-2 text-center my-4">
+            <div class="glass-morphism rounded-xl p-2"><div class="font-bold">${stats.messages || 0}</div><div class="text-xs text-gray-400">Messages</div></div>
+            <div class="glass-morphism rounded-xl p-2"><div class="font-bold">${stats.forumsHosted || 0}</div><div class="text-xs text-gray-400">Hosted</div></div>
+            <div class="glass-morphism rounded-xl p-2"><div class="font-bold">${stats.reputation || 0}</div><div class="text-xs text-gray-400">Reputation</div></div>
+        </div>
+        
+        ${(user.interests || []).length > 0 ? `
+            <div class="flex flex-wrap gap-2 mb-4">
+                ${user.interests.map(interest => `<span class="text-xs bg-gray-800 px-2 py-1 rounded-full">${escapeHtml(topicName(interest))}</span>`).join('')}
+            </div>
+        ` : ''}
+        
+        <div id="profileSheetActions" class="mb-4"></div>
+        
+        <h4 class="font-semibold mb-2">Forums hosted</h4>
+        <div id="profileSheetForums" class="space-y-2"></div>
+    `;
+    
+    renderCohostControl(user);
+    
+    const forumsEl = document.getElementById('profileSheetForums');
+    const forums = user.forumsHosted || [];
+    
+    if (forums.length === 0) {
+        forumsEl.innerHTML = '<p class="text-sm text-gray-400">No forums hosted yet.</p>';
+        return;
+    }
+    
+    forums.forEach(forum => {
+        const item = document.createElement('button');
+        item.type = 'button';
+        item.className = 'w-full text-left glass-morphism rounded-xl px-3 py-2 hover:bg-gray-800 transition';
+        item.innerHTML = `
+            <div class="font-medium">${escapeHtml(forum.title)}</div>
+            <div class="text-xs text-gray-400">${escapeHtml(topicName(forum.topic))} • <i class="fas fa-users" aria-hidden="true"></i> ${forum.participants || 0}</div>
+        `;
+        item.addEventListener('click', () => {
+            closeProfileSheet();
+            goToForum(forum.id);
+        });
+        forumsEl.appendChild(item);
+    });
+}
+
+// Hosts can make participants of the open room co-hosts from their profile
+function renderCohostControl(user) {
+    const actions = document.getElementById('profileSheetActions');
+    const room = appState.currentRoom;
+    const participant = appState.participants.find(p => p.id === user.id);
+    if (!actions || !room || !participant) return;
+    
+    actions.innerHTML = participant.role
+        ? `<p class="text-center text-sm text-purple-300"><i class="fas fa-crown mr-1" aria-hidden="true"></i>${participant.role === 'host' ? 'Host' : 'Co-host'} of ${escapeHtml(room.title)}</p>`
+        : '';
+    
+    if (!room.permissions?.manageCohosts || participant.role === 'host') return;
+    
+    const isCohost = participant.role === 'cohost';
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'w-full mt-2 bg-gray-700 py-2 rounded-xl text-sm hover:bg-gray-600 transition';
+    button.textContent = isCohost ? 'Remove co-host' : 'Make co-host';
+    button.addEventListener('click', async () => {
+        button.disabled = true;
+        
+        try {
+            const response = isCohost
+                ? await apiFetch(`/api/forums/${room.id}/cohosts/${encodeURIComponent(user.id)}`, { method: 'DELETE' })
+                : await apiFetch(`/api/forums/${room.id}/cohosts`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ userId: user.id })
+                });
+            
+            if (!response.ok) {
+                const data = await response.json().catch(() => ({}));
+                showToast(data.error || 'Failed to update co-hosts', 'error');
+                button.disabled = false;
+                return;
+            }
+            
+            await loadParticipants(room.id);
+            renderCohostControl(user);
+        } catch (error) {
+            console.error('Failed to update co-hosts:', error);
+            button.disabled = false;
+        }
+    });
+    actions.appendChild(button);
+}
+
+function closeProfileSheet() {
+    const sheet = document.getElementById('profileSheet');
+    if (sheet) sheet.classList.add('hidden');
+}
+
 // Modal Handling
 function openCreateModal() {
     try {
@@ -1165,17 +3026,22 @@ async function handleCreateDiscussion(e) {
     
     const title = document.getElementById('discussionTitle').value.trim();
     const topic = document.getElementById('discussionTopic').value;
+    const description = document.getElementById('discussionDescription').value.trim();
+    const rules = splitRules(document.getElementById('discussionRules').value);
+    const visibility = document.getElementById('discussionVisibility').value;
     
     if (!title) return;
     
     try {
-        const response = await fetch('/api/forums', {
+        const response = await apiFetch('/api/forums', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({
                 title,
                 topic,
-                hostId: appState.currentUser.id
+                description,
+                rules,
+                visibility
             })
         });
         
@@ -1196,9 +3062,70 @@ async function handleCreateDiscussion(e) {
     }
 }
 
+async function loadRecommendedForums() {
+    const container = document.getElementById('recommendedForums');
+    if (!container) return;
+    
+    try {
+        const response = await apiFetch('/api/forums/recommended?limit=5');
+        
+        if (!response.ok) {
+            console.error('Failed to load recommendations:', response.status);
+            return;
+        }
+        
+        const { forums } = await response.json();
+        container.innerHTML = '';
+        
+        if (!forums || forums.length === 0) {
+            container.innerHTML = '<div class="text-center text-gray-400 py-8">Pick some interests in your profile or join a few forums to get recommendations</div>';
+            return;
+        }
+        
+        forums.forEach(forum => {
+            const forumCard = document.createElement('div');
+            forumCard.className = 'forum-card glass-morphism p-4 rounded-xl cursor-pointer';
+            forumCard.setAttribute('role', 'listitem');
+            forumCard.innerHTML = `
+                <div class="flex items-start justify-between mb-2">
+                    <h3 class="font-semibold text-lg flex-1">${visibilityIcon(forum)}${escapeHtml(forum.title)}</h3>
+                    ${forum.participants > 0 ? '<span class="text-xs bg-green-500 text-white px-2 py-1 rounded-full">LIVE</span>' : ''}
+                </div>
+                <div class="flex items-center justify-between text-sm text-gray-400">
+                    <span><i class="fas fa-user mr-1"></i>${userLink(forum.hostId, forum.host || 'Unknown')}</span>
+                    <span><i class="fas fa-users mr-1"></i>${forum.participants || 0}</span>
+                </div>
+                <p class="text-xs text-gray-400 mt-2">${escapeHtml(describeRecommendation(forum.reasons))}</p>
+            `;
+            
+            forumCard.addEventListener('click', () => joinForum(forum));
+            container.appendChild(forumCard);
+        });
+    } catch (error) {
+        console.error('Failed to load recommendations:', error);
+    }
+}
+
+// The strongest reason first: interests, then similar people, then habits
+function describeRecommendation(reasons = []) {
+    const byType = Object.fromEntries(reasons.map(reason => [reason.type, reason]));
+    
+    if (byType.interest) {
+        return `Because you're into ${topicName(byType.interest.topic)}`;
+    }
+    if (byType.similar) {
+        const { users } = byType.similar;
+        return `${users} ${users === 1 ? 'person' : 'people'} from your forums ${users === 1 ? 'is' : 'are'} here`;
+    }
+    if (byType.topic) {
+        return `You often join ${topicName(byType.topic.topic)} forums`;
+    }
+    return 'Recommended for you';
+}
+
 async function loadFeaturedForums() {
     try {
-        const response = await fetch('/api/forums');
+        const response = await apiFetch('/api/forums?trending=true');
         
         if (!response.ok) {
             console.error('Failed to load featured forums:', response.status);
@@ -1212,8 +3139,8 @@ async function loadFeaturedForums() {
             return;
         }
         
-        // Filter for featured/active forums
-        const featuredForums = forums.filter(f => f && f.participants > 0).slice(0, 5);
+        // The most active forums of the last hours, already ranked by the server
+        const featuredForums = forums.slice(0, 5);
         
         const container = document.getElementById('featuredForums');
         if (!container) {
@@ -1224,7 +3151,7 @@ async function loadFeaturedForums() {
         container.innerHTML = '';
         
         if (featuredForums.length === 0) {
-            container.innerHTML = '<div class="text-center text-gray-400 py-8">No active forums</div>';
+            container.innerHTML = '<div class="text-center text-gray-400 py-8">Nothing is trending right now</div>';
             return;
         }
         
@@ -1235,15 +3162,17 @@ async function loadFeaturedForums() {
             forumCard.className = 'forum-card glass-morphism p-4 rounded-xl cursor-pointer';
             forumCard.innerHTML = `
                 <div class="flex items-start justify-between mb-2">
-                    <h3 class="font-semibold text-lg flex-1">${forum.title}</h3>
-                    <span class="text-xs bg-green-500 text-white px-2 py-1 rounded-full">LIVE</span>
+                    <h3 class="font-semibold text-lg flex-1">${escapeHtml(forum.title)}</h3>
+                    ${forum.participants > 0
+                        ? '<span class="text-xs bg-green-500 text-white px-2 py-1 rounded-full">LIVE</span>'
+                        : '<span class="text-xs bg-orange-500 text-white px-2 py-1 rounded-full"><i class="fas fa-fire mr-1"></i>TRENDING</span>'}
                 </div>
                 <div class="flex items-center justify-between text-sm text-gray-400">
-                    <span><i class="fas fa-user mr-1"></i>${forum.host || 'Unknown'}</span>
+                    <span><i class="fas fa-user mr-1"></i>${userLink(forum.hostId, forum.host || 'Unknown')}</span>
                     <span><i class="fas fa-users mr-1"></i>${forum.participants || 0}</span>
                 </div>
                 <div class="mt-2">
-                    <span class="text-xs bg-gray-800 px-2 py-1 rounded-full">${forum.topic || 'general'}</span>
+                    <span class="text-xs bg-gray-800 px-2 py-1 rounded-full">${escapeHtml(topicName(forum.topic))}</span>
                 </div>
             `;
             
@@ -1255,7 +3184,7 @@ async function loadFeaturedForums() {
     }
 }
 
-// Search and Notification Functions
+// Search Functions
 function toggleSearch() {
     try {
         const discoverScreen = document.getElementById('discoverScreen');
@@ -1271,18 +3200,183 @@ function toggleSearch() {
     }
 }
 
+// Notifications
+async function loadNotifications() {
+    try {
+        const response = await apiFetch('/api/notifications');
+        
+        if (!response.ok) {
+            console.error('Failed to load notifications:', response.status);
+            return;
+        }
+        
+        const data = await response.json();
+        appState.notifications = {
+            items: data.notifications || [],
+            unreadCount: data.unreadCount || 0
+        };
+        renderNotifications();
+    } catch (error) {
+        console.error('Failed to load notifications:', error);
+    }
+}
+
+function describeNotification(notification) {
+    const from = escapeHtml(notification.fromUserName || 'Someone');
+    const forum = `<strong>${escapeHtml(notification.forumTitle || 'a forum')}</strong>`;
+    
+    switch (notification.type) {
+        case 'mention':
+            return { icon: 'fas fa-at', text: `${from} mentioned you in ${forum}` };
+        case 'reply':
+            return { icon: 'far fa-comment-dots', text: `${from} replied to your message in ${forum}` };
+        case 'forum_created':
+            return { icon: 'fas fa-comments', text: `${from} started ${forum} in ${escapeHtml(notification.topic || 'a topic you follow')}` };
+        case 'invite':
+            return { icon: 'fas fa-envelope-open-text', text: `${from} invited you to ${forum}` };
+        default:
+            return { icon: 'far fa-bell', text: 'New notification' };
+    }
+}
+
+function renderNotifications() {
+    const { items, unreadCount } = appState.notifications;
+    
+    // Alerts can be muted in preferences; the inbox itself is always kept
+    const alertsEnabled = appState.currentUser?.preferences?.notifications !== false;
+    const notificationDot = document.getElementById('notificationDot');
+    if (notificationDot) {
+        notificationDot.classList.toggle('hidden', unreadCount === 0 || !alertsEnabled);
+    }
+    
+    const list = document.getElementById('notificationList');
+    if (!list) return;
+    
+    list.innerHTML = '';
+    
+    if (items.length === 0) {
+        list.innerHTML = '<li class="text-center text-gray-400 py-6 text-sm">No notifications yet</li>';
+        return;
+    }
+    
+    items.forEach(notification => {
+        const { icon, text } = describeNotification(notification);
+        const item = document.createElement('li');
+        item.className = `notification-item${notification.read ? '' : ' unread'}`;
+        item.innerHTML = `
+            <i class="${icon} notification-icon" aria-hidden="true"></i>
+            <div class="flex-1 min-w-0">
+                <p class="text-sm">${text}</p>
+                ${notification.text ? `<p class="text-xs text-gray-400 truncate">${escapeHtml(notification.text)}</p>` : ''}
+                <p class="text-xs text-gray-500 mt-1">${formatTime(notification.createdAt)}</p>
+            </div>
+        `;
+        item.addEventListener('click', () => openNotification(notification));
+        list.appendChild(item);
+    });
+}
+
 function toggleNotifications() {
+    const panel = document.getElementById('notificationPanel');
+    if (!panel) return;
+    
+    if (panel.classList.contains('hidden')) {
+        panel.classList.remove('hidden');
+        loadNotifications();
+    } else {
+        closeNotifications();
+    }
+}
+
+function closeNotifications() {
+    const panel = document.getElementById('notificationPanel');
+    if (panel) panel.classList.add('hidden');
+}
+
+// Live `notification` events from the user's own SSE channel
+function handleNotification(data) {
+    if (!data || !data.notification) return;
+    
+    const { items } = appState.notifications;
+    appState.notifications.items = [data.notification, ...items.filter(n => n.id !== data.notification.id)];
+    appState.notifications.unreadCount = data.unreadCount ?? appState.notifications.unreadCount + 1;
+    renderNotifications();
+}
+
+// Applies a read update, either from our own request or from another device
+function applyNotificationsRead(data) {
+    if (!data) return;
+    
+    appState.notifications.items.forEach(notification => {
+        if (data.all || (data.notificationIds || []).includes(notification.id)) {
+            notification.read = true;
+        }
+    });
+    appState.notifications.unreadCount = data.unreadCount || 0;
+    renderNotifications();
+}
+
+async function markNotificationsRead(notificationIds) {
+    try {
+        const response = await apiFetch('/api/notifications/read', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ notificationIds })
+        });
+        
+        if (!response.ok) {
+            console.error('Failed to mark notifications read:', response.status);
+            return;
+        }
+        
+        const data = await response.json();
+        applyNotificationsRead({ notificationIds, unreadCount: data.unreadCount });
+    } catch (error) {
+        console.error('Failed to mark notifications read:', error);
+    }
+}
+
+async function markAllNotificationsRead() {
     try {
-        // For now, just show a placeholder notification
-        alert('Notifications feature coming soon!');
+        const response = await apiFetch('/api/notifications/read-all', { method: 'POST' });
         
-        // Hide notification dot
-        const notificationDot = document.getElementById('notificationDot');
-        if (notificationDot) {
-            notificationDot.classList.add('hidden');
+        if (!response.ok) {
+            console.error('Failed to mark all notifications read:', response.status);
+            return;
         }
+        
+        applyNotificationsRead({ all: true, unreadCount: 0 });
     } catch (error) {
-        console.error('Error toggling notifications:', error);
+        console.error('Failed to mark all notifications read:', error);
+    }
+}
+
+// Enters a forum from anywhere in the app, leaving the current room first.
+// inviteToken gets the user into a private forum they aren't a member of.
+async function goToForum(forumId, inviteToken) {
+    if (appState.currentRoom?.id === forumId) return;
+    
+    if (appState.currentRoom) {
+        await exitRoom();
+    }
+    navigateToScreen('discussions');
+    await joinForum({ id: forumId }, inviteToken);
+}
+
+// Takes the user to the forum (and thread) the notification is about
+async function openNotification(notification) {
+    closeNotifications();
+    
+    if (!notification.read) {
+        markNotificationsRead([notification.id]);
+    }
+    
+    if (!notification.forumId) return;
+    
+    await goToForum(notification.forumId, notification.inviteToken);
+    
+    if (notification.parentId && appState.currentRoom?.id === notification.forumId) {
+        openThread(notification.parentId);
     }
 }
 
@@ -1332,15 +3426,15 @@ function displaySearchResults(forums, searchTerm) {
             forumCard.className = 'forum-card glass-morphism p-4 rounded-xl cursor-pointer';
             forumCard.innerHTML = `
                 <div class="flex items-start justify-between mb-2">
-                    <h3 class="font-semibold text-lg flex-1">${forum.title}</h3>
+                    <h3 class="font-semibold text-lg flex-1">${escapeHtml(forum.title)}</h3>
                     ${forum.participants > 0 ? '<span class="text-xs bg-green-500 text-white px-2 py-1 rounded-full">LIVE</span>' : ''}
                 </div>
                 <div class="flex items-center justify-between text-sm text-gray-400">
-                    <span><i class="fas fa-user mr-1"></i>${forum.host || 'Unknown'}</span>
+                    <span><i class="fas fa-user mr-1"></i>${userLink(forum.hostId, forum.host || 'Unknown')}</span>
                     <span><i class="fas fa-users mr-1"></i>${forum.participants || 0}</span>
                 </div>
                 <div class="mt-2">
-                    <span class="text-xs bg-gray-800 px-2 py-1 rounded-full">${forum.topic || 'general'}</span>
+                    <span class="text-xs bg-gray-800 px-2 py-1 rounded-full">${escapeHtml(topicName(forum.topic))}</span>
                 </div>
             `;
             
@@ -1355,18 +3449,20 @@ function displaySearchResults(forums, searchTerm) {
 // Message Management Functions
 async function editMessage(message) {
     try {
-        const newText = prompt('Edit your message:', message.text);
+        // Edit the stored Markdown source, which may be newer than `message`
+        const messageEl = document.querySelector(`[data-message-id="${message.id}"]`);
+        const currentText = messageEl?.dataset.rawText ?? message.text;
+        const newText = prompt('Edit your message:', currentText);
         
-        if (!newText || newText.trim() === message.text.trim()) {
+        if (!newText || newText.trim() === currentText.trim()) {
             return;
         }
         
-        const response = await fetch('/api/messages', {
+        const response = await apiFetch('/api/messages', {
             method: 'PUT',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({
                 messageId: message.id,
-                userId: appState.currentUser.id,
                 text: newText.trim()
             })
         });
@@ -1378,14 +3474,11 @@ async function editMessage(message) {
         }
         
         // Update the message in the UI
-        const messageEl = document.querySelector(`[data-message-id="${message.id}"]`);
-        if (messageEl) {
-            const textEl = messageEl.querySelector('p:nth-child(2)');
-            const timeEl = messageEl.querySelector('p:nth-child(3)');
-            
-            if (textEl) textEl.textContent = newText.trim();
-            if (timeEl) timeEl.textContent = `${formatTime(new Date().toISOString())} (edited)`;
-        }
+        updateMessageInUI({
+            id: message.id,
+            text: newText.trim(),
+            timestamp: new Date().toISOString()
+        });
     } catch (error) {
         console.error('Error editing message:', error);
         alert('Failed to edit message. Please try again.');
@@ -1398,12 +3491,11 @@ async function deleteMessage(messageId) {
             return;
         }
         
-        const response = await fetch('/api/messages', {
+        const response = await apiFetch('/api/messages', {
             method: 'DELETE',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({
-                messageId,
-                userId: appState.currentUser.id
+                messageId
             })
         });
         
@@ -1427,13 +3519,22 @@ async function deleteMessage(messageId) {
 // UI Update Functions for Message Events
 function updateMessageInUI(message) {
     try {
-        const messageEl = document.querySelector(`[data-message-id="${message.id}"]`);
-        if (messageEl) {
-            const textEl = messageEl.querySelector('p:nth-child(2)');
-            const timeEl = messageEl.querySelector('p:nth-child(3)');
+        // A parent message can be on screen twice: in the room and atop its thread
+        document.querySelectorAll(`[data-message-id="${message.id}"]`).forEach(messageEl => {
+            const textEl = messageEl.querySelector('.message-text');
+            const timeEl = messageEl.querySelector('.message-time');
             
-            if (textEl) textEl.textContent = message.text;
+            messageEl.dataset.rawText = message.text;
+            if (textEl) textEl.innerHTML = renderMarkdown(message.text);
             if (timeEl) timeEl.textContent = `${formatTime(message.timestamp)} (edited)`;
+        });
+        
+        // Edits carry the current reaction counts too
+        if (message.reactions) {
+            const state = appState.reactions[message.id] || { counts: {}, mine: new Set() };
+            state.counts = { ...message.reactions };
+            appState.reactions[message.id] = state;
+            refreshReactions(message.id);
         }
     } catch (error) {
         console.error('Error updating message in UI:', error);
@@ -1442,10 +3543,7 @@ function updateMessageInUI(message) {
 
 function removeMessageFromUI(messageId) {
     try {
-        const messageEl = document.querySelector(`[data-message-id="${messageId}"]`);
-        if (messageEl) {
-            messageEl.remove();
-        }
+        document.querySelectorAll(`[data-message-id="${messageId}"]`).forEach(messageEl => messageEl.remove());
     } catch (error) {
         console.error('Error removing message from UI:', error);
     }
@@ -1505,12 +3603,14 @@ function showToast(message, type = 'info') {
                     type === 'success' ? 'fas fa-check-circle' :
                     type === 'warning' ? 'fas fa-exclamation-triangle' : 'fas fa-info-circle';
         
+        // Messages often quote user content, so they go in as text, never HTML
         toast.innerHTML = `
             <div class="flex items-center">
                 <i class="${icon} mr-2"></i>
-                <span>${message}</span>
+                <span class="toast-message"></span>
             </div>
         `;
+        toast.querySelector('.toast-message').textContent = message;
         
         document.body.appendChild(toast);
         
@@ -0,0 +1,104 @@
+// scripts/local-server.js - Run the whole app in one process without Vercel
+//
+// Serves the static files and routes /api/{name}/... to api/{name}.js with the
+// small subset of the Vercel request/response helpers the handlers rely on.
+// Running everything in one process lets the in-memory storage backend be
+// shared by all API modules, so no Upstash credentials are needed.
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const PORT = Number(process.env.PORT) || 3000;
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon'
+};
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            if (!body) return resolve({});
+            try {
+                resolve(JSON.parse(body));
+            } catch (error) {
+                resolve(body);
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function decorateResponse(res) {
+    res.status = (code) => {
+        res.statusCode = code;
+        return res;
+    };
+    res.json = (payload) => {
+        if (!res.headersSent) {
+            res.setHeader('Content-Type', 'application/json; charset=utf-8');
+        }
+        res.end(JSON.stringify(payload));
+        return res;
+    };
+    return res;
+}
+
+async function handleApi(req, res, url) {
+    const [, , name] = url.pathname.split('/');
+    const modulePath = path.join(ROOT, 'api', `${name}.js`);
+
+    if (!name || !fs.existsSync(modulePath)) {
+        return res.status(404).json({ error: 'Not found' });
+    }
+
+    req.query = Object.fromEntries(url.searchParams);
+    req.body = ['GET', 'HEAD'].includes(req.method) ? {} : await readBody(req);
+
+    const handler = require(modulePath);
+    return handler(req, res);
+}
+
+function serveStatic(req, res, url) {
+    const relativePath = url.pathname === '/' ? 'index.html' : decodeURIComponent(url.pathname);
+    const filePath = path.normalize(path.join(ROOT, relativePath));
+
+    if (!filePath.startsWith(ROOT) || !fs.existsSync(filePath) || fs.statSync(filePath).isDirectory()) {
+        res.statusCode = 404;
+        return res.end('Not found');
+    }
+
+    res.setHeader('Content-Type', CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream');
+    fs.createReadStream(filePath).pipe(res);
+}
+
+const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    decorateResponse(res);
+
+    try {
+        if (url.pathname.startsWith('/api/')) {
+            return await handleApi(req, res, url);
+        }
+        return serveStatic(req, res, url);
+    } catch (error) {
+        console.error('Local server error:', error);
+        if (!res.headersSent) {
+            res.status(500).json({ error: 'Internal server error' });
+        } else {
+            res.end();
+        }
+    }
+});
+
+server.listen(PORT, () => {
+    console.log(`Forum running at http://localhost:${PORT}`);
+});